@@ -0,0 +1,93 @@
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { getRequestContext } = require('./requestContext');
+
+const USER_SERVICE_URL = process.env.USER_SERVICE_URL || 'http://localhost:3001';
+
+// Identity headers are only ever set by the gateway. Anything a client sends
+// under these names is dropped so downstream services can trust them.
+const IDENTITY_HEADERS = ['x-user-id', 'x-user-role'];
+
+const stripIdentityHeaders = (req, res, next) => {
+  IDENTITY_HEADERS.forEach(header => delete req.headers[header]);
+  next();
+};
+
+// Token ids (jti) user-service reported revoked, with the time the token
+// expires. A revoked token stays revoked, so these are not asked about again;
+// tokens that are still valid are checked on every request.
+const revokedTokens = new Map();
+
+const isRevoked = async ({ jti, exp }) => {
+  if (revokedTokens.has(jti)) {
+    return true;
+  }
+
+  const response = await axios.get(`${USER_SERVICE_URL}/internal/tokens/${encodeURIComponent(jti)}`);
+  if (response.data.revoked) {
+    const now = Date.now() / 1000;
+    revokedTokens.forEach((expiresAt, revokedJti) => {
+      if (expiresAt < now) {
+        revokedTokens.delete(revokedJti);
+      }
+    });
+    revokedTokens.set(jti, exp);
+  }
+  return response.data.revoked;
+};
+
+// Validates the bearer token issued by user-service (/users/login) and
+// forwards the verified user id and role to the proxied service. Tokens
+// revoked before they expire (logout, password change) are refused; when
+// user-service cannot say, the request is refused as well.
+const requireAuth = async (req, res, next) => {
+  if (req.user) {
+    return next();
+  }
+
+  const token = req.headers['authorization']?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  try {
+    if (!decoded.jti || await isRevoked(decoded)) {
+      return res.status(401).json({ error: 'Token has been revoked' });
+    }
+  } catch (error) {
+    return res.status(503).json({ error: 'Could not verify the token, try again later', code: 'AUTH_UNAVAILABLE' });
+  }
+
+  req.user = { ...decoded, role: decoded.role || 'customer' };
+  req.headers['x-user-id'] = String(decoded.userId);
+  req.headers['x-user-role'] = req.user.role;
+  getRequestContext().userId = decoded.userId;
+  next();
+};
+
+// Must run after requireAuth
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user?.role)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      code: 'FORBIDDEN',
+      message: `This operation requires one of the roles: ${roles.join(', ')}`,
+      required_roles: roles
+    });
+  }
+  next();
+};
+
+module.exports = {
+  stripIdentityHeaders,
+  requireAuth,
+  requireRole
+};
@@ -1,3 +1,4 @@
+require('./tracing');
 const express = require('express');
 
 const cors = require('cors');
@@ -5,15 +6,28 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 const winston = require('winston');
+const { stripIdentityHeaders, requireAuth, requireRole } = require('./auth');
+const { CORRELATION_HEADER, requestContext, contextFormat: requestContextFormat } = require('./requestContext');
+const { httpMetrics, metricsHandler } = require('./metrics');
+const { liveness, readiness, runChecks, serviceCheck, serviceReadinessCheck } = require('./health');
+const { faultInjection, faultAdminRouter, loadFaultsFromEnv } = require('./faults');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+const SERVICE_URLS = {
+  'user-service': process.env.USER_SERVICE_URL || 'http://localhost:3001',
+  'product-service': process.env.PRODUCT_SERVICE_URL || 'http://localhost:3002',
+  'order-service': process.env.ORDER_SERVICE_URL || 'http://localhost:3003',
+  'payment-service': process.env.PAYMENT_SERVICE_URL || 'http://localhost:3004'
+};
+
 // Logger configuration
 const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
+    requestContextFormat(),
     winston.format.timestamp(),
     winston.format.json()
   ),
@@ -23,43 +37,120 @@ const logger = winston.createLogger({
   ]
 });
 
+loadFaultsFromEnv(logger);
+
+if (!process.env.JWT_SECRET) {
+  logger.error('JWT_SECRET must be set to validate user tokens');
+  process.exit(1);
+}
+
 // Middleware
+app.use(requestContext);
+app.use(httpMetrics);
 app.use(helmet());
-app.use(cors());
+app.use(cors({ exposedHeaders: [CORRELATION_HEADER, 'Idempotent-Replayed'] }));
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
+app.use(faultInjection);
+app.use(stripIdentityHeaders);
 
 
 
 // app.use(express.json());
 
-// Health check endpoint 
-app.get('/health', (req, res) => {
-  try {
-    res.status(200).json({ 
-      status: 'healthy', 
-      timestamp: new Date().toISOString(),
-      service: 'api-gateway',
-      version: '1.0.0'
-    });
-  } catch (error) {
-    console.error('API Gateway - Health check error:', error);
-    logger.error('Health check error:', error);
-    
-    if (!res.headersSent) {
-      res.status(500).json({ 
-        status: 'unhealthy', 
-        error: error.message,
-        timestamp: new Date().toISOString(),
-        service: 'api-gateway'
-      });
+// Prometheus metrics
+app.get('/metrics', metricsHandler);
+
+// Health checks. Liveness only reports that the gateway is up; readiness also
+// needs every backend service to answer. /health stays as an alias of
+// liveness for existing probes.
+const serviceNames = Object.keys(SERVICE_URLS);
+
+const mapServices = (toCheck) => serviceNames.reduce(
+  (checks, name) => ({ ...checks, [name]: toCheck(SERVICE_URLS[name]) }),
+  {}
+);
+
+app.get(['/health', '/health/live'], liveness('api-gateway'));
+app.get('/health/ready', readiness('api-gateway', mapServices(serviceCheck)));
+
+// Aggregated view of every service's own readiness, including their
+// database and downstream checks
+app.get('/health/all', async (req, res) => {
+  const services = await runChecks(mapServices(serviceReadinessCheck));
+  const healthy = Object.values(services).every(service => service.status === 'up');
+
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'healthy' : 'degraded',
+    services,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Role-restricted operations. Matching requests are authorized here and then
+// fall through to the proxies below.
+const roleRules = [
+  { method: 'get', path: '/api/users', roles: ['admin', 'support'] },
+  { method: 'get', path: '/api/users/:id(\\d+)', roles: ['admin', 'support'] },
+  { method: 'put', path: '/api/users/:id/role', roles: ['admin'] },
+  { method: 'post', path: '/api/users/:id/unlock', roles: ['admin'] },
+  { method: 'post', path: '/api/products*', roles: ['admin'] },
+  { method: 'put', path: '/api/products*', roles: ['admin'] },
+  { method: 'patch', path: '/api/products*', roles: ['admin'] },
+  { method: 'delete', path: '/api/products*', roles: ['admin'] },
+  { method: 'put', path: '/api/orders/:id/status', roles: ['admin', 'support'] },
+  { method: 'get', path: '/api/returns', roles: ['admin', 'support'] },
+  { method: 'post', path: '/api/returns/:id/:action', roles: ['admin', 'support'] },
+  { method: 'get', path: '/api/payments/stats', roles: ['admin'] },
+  { method: 'post', path: '/api/payments/:transactionId/capture', roles: ['admin', 'support'] },
+  { method: 'post', path: '/api/payments/:transactionId/void', roles: ['admin', 'support'] },
+  { method: 'post', path: '/api/payments/:transactionId/refund', roles: ['admin', 'support'] }
+];
+
+roleRules.forEach(({ method, path, roles }) => {
+  app[method](path, requireAuth, requireRole(...roles));
+});
+
+// Fault injection control (admin only). The gateway's own faults live under
+// /api/admin/faults/api-gateway; each service's are proxied to its
+// /admin/faults endpoint.
+app.use('/api/admin/faults/api-gateway', faultAdminRouter(logger, requireAuth, requireRole('admin')));
+
+serviceNames.forEach(name => {
+  app.use(`/api/admin/faults/${name}`, requireAuth, requireRole('admin'), createProxyMiddleware({
+    target: SERVICE_URLS[name],
+    changeOrigin: true,
+    pathRewrite: {
+      [`^/api/admin/faults/${name}`]: '/admin/faults'
+    },
+    onError: (err, req, res) => {
+      logger.error(`Fault admin proxy error for ${name}:`, err);
+      res.status(500).json({ error: `${name} unavailable` });
     }
-  }
+  }));
+});
+
+// Webhook subscriptions and delivery logs (admin only), proxied to the
+// /admin/webhooks endpoint of each service that publishes events
+['order-service', 'payment-service'].forEach(name => {
+  app.use(`/api/admin/webhooks/${name}`, requireAuth, requireRole('admin'), createProxyMiddleware({
+    target: SERVICE_URLS[name],
+    changeOrigin: true,
+    pathRewrite: {
+      [`^/api/admin/webhooks/${name}`]: '/admin/webhooks'
+    },
+    onError: (err, req, res) => {
+      logger.error(`Webhook admin proxy error for ${name}:`, err);
+      res.status(500).json({ error: `${name} unavailable` });
+    }
+  }));
 });
 
 // API Routes with proxy middleware
 app.use('/api/users', createProxyMiddleware({
-  target: process.env.USER_SERVICE_URL || 'http://localhost:3001',
+  target: SERVICE_URLS['user-service'],
   changeOrigin: true,
+  // user-service needs the client address for login throttling
+  xfwd: true,
   pathRewrite: {
     '^/api': ''
   },
@@ -71,7 +162,7 @@ app.use('/api/users', createProxyMiddleware({
 }));
 
 app.use('/api/products', createProxyMiddleware({
-  target: process.env.PRODUCT_SERVICE_URL || 'http://localhost:3002',
+  target: SERVICE_URLS['product-service'],
   changeOrigin: true,
   pathRewrite: {
     '^/api': ''
@@ -83,8 +174,8 @@ app.use('/api/products', createProxyMiddleware({
   }
 }));
 
-app.use('/api/orders', createProxyMiddleware({
-  target: process.env.ORDER_SERVICE_URL || 'http://localhost:3003',
+app.use('/api/orders', requireAuth, createProxyMiddleware({
+  target: SERVICE_URLS['order-service'],
   changeOrigin: true,
   pathRewrite: {
     '^/api': ''
@@ -96,8 +187,8 @@ app.use('/api/orders', createProxyMiddleware({
   }
 }));
 
-app.use('/api/payments', createProxyMiddleware({
-  target: process.env.PAYMENT_SERVICE_URL || 'http://localhost:3004',
+app.use('/api/payments', requireAuth, createProxyMiddleware({
+  target: SERVICE_URLS['payment-service'],
   changeOrigin: true,
   pathRewrite: {
     '^/api': ''
@@ -109,57 +200,31 @@ app.use('/api/payments', createProxyMiddleware({
   }
 }));
 
-// Cart endpoints (handled by order service)
-app.use('/api/cart', createProxyMiddleware({
-  target: process.env.ORDER_SERVICE_URL || 'http://order-service:3003',
+// Return requests (handled by order service; customers use /api/orders/:id/returns)
+app.use('/api/returns', requireAuth, createProxyMiddleware({
+  target: SERVICE_URLS['order-service'],
   changeOrigin: true,
   pathRewrite: {
     '^/api': ''
   },
   logLevel: 'debug',
-  onProxyReq: (proxyReq, req, res) => {
-    try {
-      console.log('API Gateway - Request body before proxy:', JSON.stringify(req.body));
-      console.log('API Gateway - Request body before proxy - normal :', req.body);
-      console.log('API Gateway - Request headers:', JSON.stringify(req.headers));
-      console.log('API Gateway - Request method:', req.method);
-      console.log('API Gateway - Request URL:', req.url);
-      
-      // Log proxy request details
-      console.log('API Gateway - Proxy request target:', proxyReq.path);
-      console.log('API Gateway - Proxy request headers:', proxyReq.getHeaders());
-      
-    } catch (error) {
-      console.error('API Gateway - Error in onProxyReq:', error);
-      logger.error('Error in onProxyReq callback:', error);
-    }
-  },
   onError: (err, req, res) => {
-    try {
-      console.error('API Gateway - Cart service proxy error:', err);
-      logger.error('Cart service proxy error:', err);
-      
-      // Send appropriate error response
-      if (!res.headersSent) {
-        res.status(500).json({ 
-          error: 'Cart service unavailable',
-          message: err.message,
-          timestamp: new Date().toISOString()
-        });
-      }
-    } catch (responseError) {
-      console.error('API Gateway - Error sending error response:', responseError);
-      logger.error('Error sending error response:', responseError);
-    }
+    logger.error('Order service proxy error:', err);
+    res.status(500).json({ error: 'Order service unavailable' });
+  }
+}));
+
+// Cart endpoints (handled by order service)
+app.use('/api/cart', requireAuth, createProxyMiddleware({
+  target: SERVICE_URLS['order-service'],
+  changeOrigin: true,
+  pathRewrite: {
+    '^/api': ''
   },
-  onProxyRes: (proxyRes, req, res) => {
-    try {
-      console.log('API Gateway - Proxy response status:', proxyRes.statusCode);
-      console.log('API Gateway - Proxy response headers:', proxyRes.headers);
-    } catch (error) {
-      console.error('API Gateway - Error in onProxyRes:', error);
-      logger.error('Error in onProxyRes callback:', error);
-    }
+  logLevel: 'debug',
+  onError: (err, req, res) => {
+    logger.error('Cart service proxy error:', err);
+    res.status(500).json({ error: 'Cart service unavailable' });
   }
 }));
 
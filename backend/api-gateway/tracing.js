@@ -0,0 +1,116 @@
+// OpenTelemetry tracing. Must be required before express, http and pg are
+// loaded so the instrumentations can patch them.
+require('dotenv').config();
+
+const fs = require('fs');
+const { SpanKind } = require('@opentelemetry/api');
+const { ExportResultCode, hrTimeToMilliseconds, hrTimeToTimeStamp } = require('@opentelemetry/core');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { registerInstrumentations } = require('@opentelemetry/instrumentation');
+const { ExpressInstrumentation } = require('@opentelemetry/instrumentation-express');
+const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const { BatchSpanProcessor, ConsoleSpanExporter, SimpleSpanProcessor } = require('@opentelemetry/sdk-trace-base');
+const { NodeTracerProvider } = require('@opentelemetry/sdk-trace-node');
+const { ATTR_SERVICE_NAME, ATTR_SERVICE_VERSION } = require('@opentelemetry/semantic-conventions');
+const pkg = require('./package.json');
+
+const SERVICE_NAME = process.env.OTEL_SERVICE_NAME || pkg.name;
+
+// OTEL_TRACES_EXPORTER takes a comma-separated list of otlp, console, file
+// or none. Without it, spans go to OTLP only when an endpoint is configured.
+const exporterNames = () => {
+  const configured = process.env.OTEL_TRACES_EXPORTER;
+  if (configured) {
+    return configured.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  }
+  const hasEndpoint = process.env.OTEL_EXPORTER_OTLP_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+  return hasEndpoint ? ['otlp'] : ['none'];
+};
+
+// Appends one JSON line per finished span, for checking traces locally
+const createFileExporter = (filename) => ({
+  export: (spans, resultCallback) => {
+    const lines = spans.map(span => JSON.stringify({
+      service: SERVICE_NAME,
+      traceId: span.spanContext().traceId,
+      spanId: span.spanContext().spanId,
+      parentSpanId: span.parentSpanContext?.spanId,
+      name: span.name,
+      kind: SpanKind[span.kind],
+      start: hrTimeToTimeStamp(span.startTime),
+      durationMs: hrTimeToMilliseconds(span.duration),
+      status: span.status,
+      attributes: span.attributes,
+      events: span.events.map(event => ({ name: event.name, attributes: event.attributes }))
+    }));
+
+    fs.appendFile(filename, lines.join('\n') + '\n', (error) => {
+      resultCallback(error ? { code: ExportResultCode.FAILED, error } : { code: ExportResultCode.SUCCESS });
+    });
+  },
+  shutdown: () => Promise.resolve()
+});
+
+// The OTLP exporter reads OTEL_EXPORTER_OTLP_(TRACES_)ENDPOINT and
+// OTEL_EXPORTER_OTLP_(TRACES_)HEADERS, e.g. a Dynatrace API token
+const createSpanProcessor = (name) => {
+  switch (name) {
+    case 'otlp':
+      return new BatchSpanProcessor(new OTLPTraceExporter());
+    case 'console':
+      return new SimpleSpanProcessor(new ConsoleSpanExporter());
+    case 'file':
+      return new BatchSpanProcessor(createFileExporter(process.env.OTEL_TRACES_FILE || `${SERVICE_NAME}-traces.jsonl`));
+    case 'none':
+      return null;
+    default:
+      console.warn(`Unknown OTEL_TRACES_EXPORTER "${name}" ignored`);
+      return null;
+  }
+};
+
+const spanProcessors = exporterNames().map(createSpanProcessor).filter(Boolean);
+
+// The provider is registered even without exporters so incoming W3C
+// traceparent headers are still propagated to downstream calls
+const provider = new NodeTracerProvider({
+  resource: resourceFromAttributes({
+    [ATTR_SERVICE_NAME]: SERVICE_NAME,
+    [ATTR_SERVICE_VERSION]: pkg.version
+  }),
+  spanProcessors
+});
+provider.register();
+
+// Probes and metric scrapes would otherwise dominate the traces
+const isProbeRequest = (req) => req.url === '/metrics' || req.url === '/health' || req.url.startsWith('/health/');
+
+// http covers incoming requests and outgoing calls (axios, the gateway's
+// proxy). pg is only instrumented in services that have a database.
+const instrumentations = [
+  new HttpInstrumentation({ ignoreIncomingRequestHook: isProbeRequest }),
+  new ExpressInstrumentation()
+];
+if (pkg.dependencies.pg) {
+  const { PgInstrumentation } = require('@opentelemetry/instrumentation-pg');
+  instrumentations.push(new PgInstrumentation());
+}
+
+registerInstrumentations({
+  tracerProvider: provider,
+  instrumentations
+});
+
+// Flush buffered spans before the process exits
+if (spanProcessors.length > 0) {
+  const shutdown = () => {
+    provider.shutdown()
+      .catch(error => console.error('Error flushing traces:', error))
+      .finally(() => process.exit(0));
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+}
+
+module.exports = provider;
@@ -0,0 +1,442 @@
+const axios = require('axios');
+const { IDEMPOTENCY_HEADER } = require('./idempotency');
+const { counter } = require('./metrics');
+
+// Checkout as a saga. Placing an order spans three services, so instead of
+// one transaction it is a sequence of steps, and checkout_sagas records which
+// step is running before it starts:
+//
+//   reserving_stock  product-service reserves the items    undo: release the stock
+//   creating_order   order, items and saga state are       undo: cancel the order
+//                    written in one transaction
+//   charging         payment-service authorizes the total
+//   completed        order confirmed (processing), ordered products leave the cart
+//
+// When a step fails, the steps before it are undone (compensating ->
+// compensated). An authorized payment is the point of no return: from there
+// the saga only moves forward and the order is confirmed, unless the customer
+// cancelled it while it was being charged. Every step and
+// every undo can run twice without harm, which lets the recovery worker pick
+// up a saga left behind by a crash or a lost response from its saved state.
+const PAYMENT_TIMEOUT_MS = parseInt(process.env.CHECKOUT_PAYMENT_TIMEOUT_MS, 10) || 30000;
+
+// Sagas untouched for this long are taken over by the recovery worker. Must
+// be well above PAYMENT_TIMEOUT_MS, or a checkout still waiting for its
+// payment would be compensated under it.
+const STALE_AFTER_SECONDS = parseInt(process.env.CHECKOUT_STALE_AFTER_SECONDS, 10) || 120;
+const RECOVERY_INTERVAL_MS = parseInt(process.env.CHECKOUT_RECOVERY_INTERVAL_MS, 10) || 30000;
+const BATCH_SIZE = 20;
+
+// Payment states that mean the money is secured
+const PAID_STATUSES = ['authorized', 'captured'];
+
+const checkoutsFinished = counter(
+  'checkout_sagas_total',
+  'Checkout sagas that reached a final state, by outcome and whether the recovery worker finished them',
+  ['outcome', 'recovered']
+);
+
+const checkoutError = (status, message, code, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+const formatAddress = (address) =>
+  `${address.name}, ${address.street}, ${address.postal_code} ${address.city}, ${address.country}`;
+
+const paymentSummary = (payment) => ({
+  transaction_id: payment.transaction_id,
+  status: payment.status,
+  decline_code: payment.decline_code,
+  decline_message: payment.decline_message
+});
+
+const declined = (payment) => ({
+  code: 'PAYMENT_DECLINED',
+  message: payment.decline_message
+    ? `The payment was declined: ${payment.decline_message}`
+    : 'The payment was declined'
+});
+
+// createCheckout({ pool, logger, webhooks, events, lifecycle, getOrderPayment,
+// productServiceUrl, paymentServiceUrl }) sets up checkout for order-service.
+// place() runs a new checkout, onPaymentSettled() finishes one whose payment
+// call timed out, start() runs the recovery worker.
+const createCheckout = ({ pool, logger, webhooks, events, lifecycle, getOrderPayment, productServiceUrl, paymentServiceUrl }) => {
+  // Failure details are kept from the first failure when a later call
+  // passes none
+  const saveState = async (db, saga, state, failure = {}) => {
+    const result = await db.query(
+      `UPDATE checkout_sagas
+       SET state = $2,
+           failure_code = COALESCE($3, failure_code),
+           failure_reason = COALESCE($4, failure_reason),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [saga.id, state, failure.code || null, failure.message || null]
+    );
+    return result.rows[0];
+  };
+
+  // The order id is taken from the orders sequence up front, so stock can be
+  // reserved for the order before the order row exists
+  const begin = async ({ userId, items, totalAmount, shippingAddress }) => {
+    const result = await pool.query(
+      `INSERT INTO checkout_sagas (order_id, user_id, state, payload)
+       VALUES (nextval(pg_get_serial_sequence('orders', 'id')), $1, 'reserving_stock', $2)
+       RETURNING *`,
+      [userId, { items, total_amount: totalAmount, shipping_address: shippingAddress }]
+    );
+    return result.rows[0];
+  };
+
+  // Any item that is short rejects the whole order
+  const reserveStock = async (saga) => {
+    try {
+      await axios.post(`${productServiceUrl}/internal/reservations`, {
+        order_id: saga.order_id,
+        items: saga.payload.items.map(({ product_id, quantity }) => ({ product_id, quantity }))
+      });
+    } catch (error) {
+      const body = error.response?.data;
+      if (error.response?.status === 409) {
+        throw checkoutError(409, body.error, body.code, { items: body.items });
+      }
+      // A product removed since its price was looked up
+      if (error.response?.status === 404) {
+        throw checkoutError(400, body.error, body.code, { product_ids: body.product_ids });
+      }
+      throw error;
+    }
+  };
+
+  const createOrder = async (saga) => {
+    const { items, total_amount, shipping_address } = saga.payload;
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const orderResult = await client.query(
+        `INSERT INTO orders (id, user_id, total_amount, shipping_address, shipping_address_details, status)
+         VALUES ($1, $2, $3, $4, $5, 'pending') RETURNING *`,
+        [saga.order_id, saga.user_id, total_amount, formatAddress(shipping_address), shipping_address]
+      );
+      const order = orderResult.rows[0];
+      await lifecycle.recordCreated(client, order, { changedBy: saga.user_id });
+
+      for (const item of items) {
+        await client.query(
+          'INSERT INTO order_items (order_id, product_id, quantity, price) VALUES ($1, $2, $3, $4)',
+          [order.id, item.product_id, item.quantity, item.price]
+        );
+      }
+
+      await webhooks.publish('order.created', { ...order, items }, client);
+      await events.record(client, 'OrderCreated', {
+        aggregateType: 'order',
+        aggregateId: order.id,
+        data: { ...order, items }
+      });
+      const charging = await saveState(client, saga, 'charging');
+      await client.query('COMMIT');
+
+      return { saga: charging, order };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  // Returns the payment, null when payment-service answered but holds no
+  // payment for the order, or undefined when the outcome is unknown. The card
+  // number is only ever passed through, never stored with the saga.
+  const charge = async (saga, cardNumber) => {
+    try {
+      const response = await axios.post(
+        `${paymentServiceUrl}/internal/payments`,
+        { order_id: saga.order_id, amount: saga.payload.total_amount, card_number: cardNumber },
+        {
+          // Keyed by order, so a retried call cannot authorize the order twice
+          headers: { [IDEMPOTENCY_HEADER]: `order-${saga.order_id}-payment` },
+          timeout: PAYMENT_TIMEOUT_MS
+        }
+      );
+      // Pending: the provider did not answer in time. payment-service settles
+      // the payment later and the saga resumes then.
+      return response.data.status === 'pending' ? undefined : response.data;
+    } catch (error) {
+      logger.warn(`Payment call for order ${saga.order_id} failed: ${error.message}`);
+      // The payment may have gone through regardless
+      const payment = await getOrderPayment(saga.order_id).catch(() => undefined);
+      if ((payment === null && !error.response) || payment?.status === 'pending') {
+        // Timed out, or payment-service is still waiting for the provider
+        return undefined;
+      }
+      return payment;
+    }
+  };
+
+  // Releases an authorization that will not be captured. Voiding a payment
+  // that is already voided returns it unchanged.
+  const voidAuthorization = async (payment) => {
+    await axios.post(`${paymentServiceUrl}/internal/payments/${payment.transaction_id}/void`);
+  };
+
+  // Resolves with the confirmed order, or with null when the customer
+  // cancelled it while it was being charged. Cancelling found nothing to
+  // release then, so the authorization is voided here and the saga undone.
+  const confirm = async (saga, payment) => {
+    const client = await pool.connect();
+    let order;
+
+    try {
+      await client.query('BEGIN');
+
+      const applied = await lifecycle.apply(client, saga.order_id, 'processing', { from: ['pending'], reason: 'payment_authorized' });
+      order = applied
+        ? applied.order
+        : (await client.query('SELECT * FROM orders WHERE id = $1', [saga.order_id])).rows[0];
+
+      if (order.status === 'cancelled') {
+        await client.query('ROLLBACK');
+      } else {
+        // Only the products that were ordered; the cart may have changed since
+        await client.query(
+          'DELETE FROM cart WHERE user_id = $1 AND product_id = ANY($2)',
+          [saga.user_id, saga.payload.items.map(item => item.product_id)]
+        );
+        await saveState(client, saga, 'completed');
+        await client.query('COMMIT');
+      }
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (order.status === 'cancelled') {
+      logger.warn(`Order ${saga.order_id} was cancelled during checkout ${saga.id}, voiding its payment`);
+      await voidAuthorization(payment);
+      await compensate(saga, { code: 'ORDER_CANCELLED', message: 'The order was cancelled before its payment went through' });
+      return null;
+    }
+
+    logger.info(`Checkout ${saga.id} completed for order ${saga.order_id}`);
+    return order;
+  };
+
+  // Undoes the steps in reverse order. Cancelling an order that was never
+  // created and releasing stock that was never reserved are both no-ops.
+  const compensate = async (saga, failure = {}) => {
+    saga = await saveState(pool, saga, 'compensating', failure);
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const created = await client.query('SELECT id FROM orders WHERE id = $1', [saga.order_id]);
+      if (created.rows.length > 0) {
+        await lifecycle.apply(client, saga.order_id, 'cancelled', {
+          from: ['pending'],
+          reason: saga.failure_code ? saga.failure_code.toLowerCase() : 'checkout_failed'
+        });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await axios.post(`${productServiceUrl}/internal/reservations/${saga.order_id}/release`);
+    await saveState(pool, saga, 'compensated');
+    logger.warn(`Checkout ${saga.id} compensated for order ${saga.order_id}`, { failureCode: saga.failure_code });
+  };
+
+  // A failed undo leaves the saga for the recovery worker
+  const compensateOrDefer = async (saga, failure) => {
+    try {
+      await compensate(saga, failure);
+      checkoutsFinished.inc({ outcome: 'compensated', recovered: 'false' });
+    } catch (error) {
+      logger.error(`Compensation of checkout ${saga.id} failed, leaving it to recovery:`, error);
+    }
+  };
+
+  // Runs a checkout. Resolves with { order, payment, completed }; completed
+  // is false while the payment outcome is still unknown, and recovery
+  // finishes the saga later. Rejects when the order was not placed. Once
+  // the order exists, failures to confirm it are not reported as errors: the
+  // client gets the order back, so a retry cannot place a second one.
+  const place = async ({ userId, items, totalAmount, shippingAddress, cardNumber }) => {
+    let saga = await begin({ userId, items, totalAmount, shippingAddress });
+    logger.info(`Checkout ${saga.id} started for order ${saga.order_id}`);
+
+    let order;
+    try {
+      await reserveStock(saga);
+      saga = await saveState(pool, saga, 'creating_order');
+      ({ saga, order } = await createOrder(saga));
+    } catch (error) {
+      await compensateOrDefer(saga, {
+        code: error.code || 'CHECKOUT_FAILED',
+        message: error.message
+      });
+      throw error;
+    }
+
+    const payment = await charge(saga, cardNumber);
+
+    if (payment === undefined) {
+      logger.warn(`Payment outcome for order ${order.id} unknown, leaving checkout ${saga.id} to recovery`);
+      return { order, payment: { status: 'pending' }, completed: false };
+    }
+
+    if (payment && PAID_STATUSES.includes(payment.status)) {
+      let confirmed;
+      try {
+        confirmed = await confirm(saga, payment);
+      } catch (error) {
+        logger.error(`Confirming order ${order.id} failed, leaving checkout ${saga.id} to recovery:`, error);
+        return { order, payment: paymentSummary(payment), completed: false };
+      }
+
+      if (!confirmed) {
+        checkoutsFinished.inc({ outcome: 'compensated', recovered: 'false' });
+        throw checkoutError(409, 'The order was cancelled before its payment went through', 'ORDER_CANCELLED', { order_id: order.id });
+      }
+      checkoutsFinished.inc({ outcome: 'completed', recovered: 'false' });
+      return { order: confirmed, payment: paymentSummary(payment), completed: true };
+    }
+
+    if (payment) {
+      const failure = declined(payment);
+      await compensateOrDefer(saga, failure);
+      throw checkoutError(402, failure.message, failure.code, {
+        order_id: order.id,
+        decline_code: payment.decline_code,
+        decline_message: payment.decline_message
+      });
+    }
+
+    const failure = { code: 'PAYMENT_UNAVAILABLE', message: 'The payment could not be processed, the order was not placed' };
+    await compensateOrDefer(saga, failure);
+    throw checkoutError(502, failure.message, failure.code, { order_id: order.id });
+  };
+
+  // Carries a stale saga on from its saved state. Only a charging saga can
+  // still complete: earlier ones never got as far as the payment, and the
+  // card number is not kept to try again, so they are undone.
+  const resume = async (saga) => {
+    logger.warn(`Recovering checkout ${saga.id} for order ${saga.order_id} from state ${saga.state}`);
+
+    if (saga.state === 'charging') {
+      const payment = await getOrderPayment(saga.order_id);
+      // payment-service settles it, or gives it up as abandoned, and reports
+      // the outcome
+      if (payment?.status === 'pending') {
+        logger.info(`Payment for order ${saga.order_id} still pending, checkout ${saga.id} waits for it`);
+        return;
+      }
+      if (payment && PAID_STATUSES.includes(payment.status)) {
+        const confirmed = await confirm(saga, payment);
+        checkoutsFinished.inc({ outcome: confirmed ? 'completed' : 'compensated', recovered: 'true' });
+        return;
+      }
+      // An authorization arriving after this point is voided when it expires
+      await compensate(saga, payment
+        ? declined(payment)
+        : { code: 'PAYMENT_NOT_CONFIRMED', message: 'No payment was recorded for the order' });
+    } else if (saga.state === 'compensating') {
+      await compensate(saga);
+    } else {
+      await compensate(saga, { code: 'CHECKOUT_INTERRUPTED', message: `Checkout stopped while ${saga.state.replace('_', ' ')}` });
+    }
+    checkoutsFinished.inc({ outcome: 'compensated', recovered: 'true' });
+  };
+
+  // Claims stale sagas by touching them, so a second replica running the
+  // worker at the same time skips them
+  const claimStale = async () => {
+    const result = await pool.query(
+      `UPDATE checkout_sagas
+       SET updated_at = CURRENT_TIMESTAMP, recovery_attempts = recovery_attempts + 1
+       WHERE id IN (
+         SELECT id FROM checkout_sagas
+         WHERE state NOT IN ('completed', 'compensated')
+           AND updated_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+         ORDER BY updated_at
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [STALE_AFTER_SECONDS, BATCH_SIZE]
+    );
+    return result.rows;
+  };
+
+  // Called when payment-service reports the outcome of an order's payment.
+  // While place() is still waiting for its payment call it settles the saga
+  // itself; once the call has timed out, the saga is finished here rather
+  // than by the next recovery run.
+  const onPaymentSettled = async (orderId) => {
+    const result = await pool.query(
+      `UPDATE checkout_sagas
+       SET updated_at = CURRENT_TIMESTAMP, recovery_attempts = recovery_attempts + 1
+       WHERE order_id = $1 AND state = 'charging'
+         AND updated_at < CURRENT_TIMESTAMP - make_interval(secs => $2)
+       RETURNING *`,
+      [orderId, PAYMENT_TIMEOUT_MS / 1000]
+    );
+    if (result.rows.length > 0) {
+      await resume(result.rows[0]);
+    }
+  };
+  
+  let recovering = false;
+
+  const recover = async () => {
+    if (recovering) {
+      return;
+    }
+    recovering = true;
+    try {
+      let stale = await claimStale();
+      while (stale.length > 0) {
+        for (const saga of stale) {
+          try {
+            await resume(saga);
+          } catch (error) {
+            logger.error(`Recovery of checkout ${saga.id} failed, retrying later:`, error);
+          }
+        }
+        stale = await claimStale();
+      }
+    } catch (error) {
+      logger.error('Checkout recovery failed:', error);
+    } finally {
+      recovering = false;
+    }
+  };
+
+  const start = () => {
+    setInterval(recover, RECOVERY_INTERVAL_MS).unref();
+  };
+
+  return {
+    place,
+    onPaymentSettled,
+    start
+  };
+};
+
+module.exports = {
+  createCheckout
+};
@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const os = require('os');
+const { EventEmitter } = require('events');
+const { counter } = require('./metrics');
+
+// Domain events between services, through a transactional outbox. A change
+// and the events describing it are written in the same database transaction
+// (record), so an event exists exactly when its change was committed. A relay
+// publishes outbox rows to the event bus, oldest first and at least once;
+// consumers skip events they have already processed.
+//
+// EVENT_BUS selects the broker:
+//   redis   Redis Streams at REDIS_URL, one stream per event type and one
+//           consumer group per subscribing service
+//   memory  in-process only: events reach subscribers in the same process.
+//           For tests and running a single service locally.
+//
+// Every event is published as the envelope
+//   { id, type, source, aggregate_type, aggregate_id, occurred_at, data }
+const EVENT_BUS = process.env.EVENT_BUS || 'memory';
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const STREAM_PREFIX = process.env.EVENT_STREAM_PREFIX || 'events:';
+const STREAM_MAX_LENGTH = parseInt(process.env.EVENT_STREAM_MAX_LENGTH, 10) || 100000;
+const RELAY_INTERVAL_MS = parseInt(process.env.OUTBOX_RELAY_INTERVAL_MS, 10) || 1000;
+const BATCH_SIZE = 50;
+const CONSUMER_BLOCK_MS = 5000;
+const CONSUMER_RETRY_MS = 5000;
+
+const eventsPublished = counter('outbox_events_published_total', 'Outbox events published to the event bus, by type', ['type']);
+const eventsConsumed = counter('events_consumed_total', 'Events received from the event bus, by type and result', ['type', 'result']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const memoryBroker = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  let delivered = Promise.resolve();
+
+  return {
+    // One event at a time, in the order published, as a Redis consumer reads
+    // them
+    publish: async (event) => {
+      delivered = delivered.then(() => Promise.all(emitter.listeners(event.type).map(handle => handle(event))));
+    },
+    // Nothing is redelivered: an event whose handler fails is dropped
+    consume: async (group, types, handle) => {
+      types.forEach(type => emitter.on(type, handle));
+    }
+  };
+};
+
+const redisBroker = (logger) => {
+  const { createClient } = require('redis');
+  const streamKey = (type) => `${STREAM_PREFIX}${type}`;
+
+  // Without the offline queue, publishing while Redis is unreachable fails
+  // right away and the relay retries, instead of the call hanging
+  const client = createClient({ url: REDIS_URL, disableOfflineQueue: true });
+  client.on('error', error => logger.error('Event bus connection error:', error));
+  client.connect().catch(error => logger.error('Event bus connection failed:', error));
+
+  const publish = async (event) => {
+    await client.xAdd(streamKey(event.type), '*', { event: JSON.stringify(event) }, {
+      TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: STREAM_MAX_LENGTH }
+    });
+  };
+
+  const createGroup = async (key, group) => {
+    try {
+      await client.xGroupCreate(key, group, '0', { MKSTREAM: true });
+    } catch (error) {
+      if (!String(error.message).includes('BUSYGROUP')) {
+        throw error;
+      }
+    }
+  };
+
+  // Replicas of a service share its consumer group, so each event is handled
+  // by one of them. An entry is acknowledged once handled; a failed one stays
+  // in this consumer's pending list and is read again from there ('0')
+  // before new entries ('>') are read.
+  const consume = async (group, types, handle) => {
+    // Blocking reads need a connection of their own
+    const reader = client.duplicate();
+    reader.on('error', error => logger.error('Event bus connection error:', error));
+    await reader.connect();
+
+    const consumer = `${group}-${os.hostname()}`;
+    let cursor = '0';
+
+    for (;;) {
+      try {
+        if (cursor === '0') {
+          await Promise.all(types.map(type => createGroup(streamKey(type), group)));
+        }
+
+        const streams = await reader.xReadGroup(
+          group,
+          consumer,
+          types.map(type => ({ key: streamKey(type), id: cursor })),
+          cursor === '>' ? { COUNT: BATCH_SIZE, BLOCK: CONSUMER_BLOCK_MS } : { COUNT: BATCH_SIZE }
+        );
+
+        let read = 0;
+        let failed = false;
+        for (const stream of streams || []) {
+          for (const { id, message } of stream.messages) {
+            read++;
+            // Entries trimmed from the stream come back without a message
+            if (!message || await handle(JSON.parse(message.event))) {
+              await client.xAck(stream.name, group, id);
+            } else {
+              failed = true;
+            }
+          }
+        }
+
+        if (failed) {
+          cursor = '0';
+          await sleep(CONSUMER_RETRY_MS);
+        } else if (cursor === '0' && read === 0) {
+          cursor = '>';
+        }
+      } catch (error) {
+        logger.error('Reading from the event bus failed:', error);
+        cursor = '0';
+        await sleep(CONSUMER_RETRY_MS);
+      }
+    }
+  };
+
+  return {
+    publish,
+    consume
+  };
+};
+
+// createEventBus({ pool, service, logger }) sets up events for one service.
+// record() writes an event to the outbox inside the caller's transaction,
+// subscribe() registers a handler, start() runs the relay and the consumer.
+const createEventBus = ({ pool, service, logger }) => {
+  if (!['redis', 'memory'].includes(EVENT_BUS)) {
+    throw new Error(`Unknown EVENT_BUS "${EVENT_BUS}", expected redis or memory`);
+  }
+  const broker = EVENT_BUS === 'redis' ? redisBroker(logger) : memoryBroker();
+  const handlers = new Map();
+
+  // db is the client of the transaction making the change
+  const record = async (db, type, { aggregateType, aggregateId, data }) => {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      source: service,
+      aggregate_type: aggregateType,
+      aggregate_id: String(aggregateId),
+      occurred_at: new Date().toISOString(),
+      data
+    };
+    await db.query(
+      `INSERT INTO outbox_events (event_id, source, event_type, aggregate_type, aggregate_id, payload)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [event.id, service, type, aggregateType, event.aggregate_id, JSON.stringify(event)]
+    );
+    return event;
+  };
+
+  // Row locks keep a second replica's relay off the same events. The first
+  // failure ends the batch, so later events do not overtake it.
+  const relayBatch = async () => {
+    const client = await pool.connect();
+    let published = 0;
+
+    try {
+      await client.query('BEGIN');
+      const due = await client.query(
+        `SELECT id, event_type, payload FROM outbox_events
+         WHERE source = $1 AND published_at IS NULL
+         ORDER BY id
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED`,
+        [service, BATCH_SIZE]
+      );
+
+      for (const row of due.rows) {
+        try {
+          await broker.publish(row.payload);
+        } catch (error) {
+          logger.error(`Publishing event ${row.payload.id} (${row.event_type}) failed:`, error);
+          await client.query(
+            'UPDATE outbox_events SET attempts = attempts + 1, last_error = $2 WHERE id = $1',
+            [row.id, error.message]
+          );
+          break;
+        }
+        await client.query(
+          'UPDATE outbox_events SET attempts = attempts + 1, last_error = NULL, published_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [row.id]
+        );
+        eventsPublished.inc({ type: row.event_type });
+        published++;
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return published === BATCH_SIZE;
+  };
+
+  let relaying = false;
+
+  const relay = async () => {
+    if (relaying) {
+      return;
+    }
+    relaying = true;
+    try {
+      while (await relayBatch());
+    } catch (error) {
+      logger.error('Outbox relay failed:', error);
+    } finally {
+      relaying = false;
+    }
+  };
+
+  // Delivery is at least once; processed_events turns repeats into no-ops.
+  // Returns whether the event is done with.
+  const handle = async (event) => {
+    const handler = handlers.get(event.type);
+    try {
+      const seen = await pool.query(
+        'SELECT 1 FROM processed_events WHERE consumer = $1 AND event_id = $2',
+        [service, event.id]
+      );
+      if (seen.rows.length > 0) {
+        eventsConsumed.inc({ type: event.type, result: 'duplicate' });
+        return true;
+      }
+
+      await handler(event);
+      await pool.query(
+        `INSERT INTO processed_events (consumer, event_id, event_type)
+         VALUES ($1, $2, $3) ON CONFLICT DO NOTHING`,
+        [service, event.id, event.type]
+      );
+      eventsConsumed.inc({ type: event.type, result: 'handled' });
+      return true;
+    } catch (error) {
+      logger.error(`Handling event ${event.id} (${event.type}) failed:`, error);
+      eventsConsumed.inc({ type: event.type, result: 'failed' });
+      return false;
+    }
+  };
+
+  // handler(event) is called for every event of the given types published
+  // by any service. Register before start().
+  const subscribe = (types, handler) => {
+    types.forEach(type => handlers.set(type, handler));
+  };
+
+  const start = () => {
+    setInterval(relay, RELAY_INTERVAL_MS).unref();
+    if (handlers.size > 0) {
+      broker.consume(service, [...handlers.keys()], handle)
+        .catch(error => logger.error('Event consumer stopped:', error));
+    }
+    logger.info(`Event bus: ${EVENT_BUS}`, { subscribedTo: [...handlers.keys()] });
+  };
+
+  return {
+    record,
+    subscribe,
+    start
+  };
+};
+
+module.exports = {
+  createEventBus
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+
+// Idempotency-Key support for POST endpoints. The first request with a key
+// runs normally and its response is stored; retries with the same key and the
+// same request get that response replayed instead of running again. Reusing a
+// key for a different request is a conflict. Keys are per user and endpoint
+// and are forgotten after IDEMPOTENCY_KEY_TTL_HOURS.
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const KEY_TTL_SECONDS = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24) * 60 * 60;
+
+// A request still marked in progress after this long is assumed to have died
+// with its process, and a retry may take the key over
+const LOCK_TIMEOUT_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS, 10) || 120;
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// JSON with object keys sorted, so {a, b} and {b, a} fingerprint the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const fingerprint = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.originalUrl}\n${canonicalJson(req.body ?? {})}`)
+  .digest('hex');
+
+// Claims the key for this request. Returns true when the caller now owns it:
+// the key is new, expired, or abandoned by a request that never finished.
+const claimKey = async (pool, { scope, userId, key, requestHash }) => {
+  const result = await pool.query(
+    `INSERT INTO idempotency_keys (scope, user_id, idempotency_key, request_hash)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (scope, user_id, idempotency_key) DO UPDATE
+       SET request_hash = EXCLUDED.request_hash,
+           response_status = NULL,
+           response_body = NULL,
+           created_at = CURRENT_TIMESTAMP,
+           completed_at = NULL
+       WHERE idempotency_keys.created_at < CURRENT_TIMESTAMP - make_interval(secs => $5)
+          OR (idempotency_keys.completed_at IS NULL
+              AND idempotency_keys.created_at < CURRENT_TIMESTAMP - make_interval(secs => $6))
+     RETURNING id`,
+    [scope, userId, key, requestHash, KEY_TTL_SECONDS, LOCK_TIMEOUT_SECONDS]
+  );
+  return result.rows.length > 0;
+};
+
+// idempotency(pool, scope, logger) builds the middleware for one endpoint.
+// The header is optional; requests without it are not deduplicated. Must run
+// after the user is known (requireUser) and before the body is validated, so
+// the fingerprint covers what the client actually sent.
+const idempotency = (pool, scope, logger) => async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_HEADER);
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      error: `${IDEMPOTENCY_HEADER} must be 1 to 255 printable ASCII characters`,
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  // The user set by the gateway; calls between services carry none and share
+  // user 0
+  const userId = req.userId || parseInt(req.headers['x-user-id'], 10) || 0;
+  const requestHash = fingerprint(req);
+
+  try {
+    if (!(await claimKey(pool, { scope, userId, key, requestHash }))) {
+      const existing = await pool.query(
+        `SELECT request_hash, response_status, response_body, completed_at
+         FROM idempotency_keys WHERE scope = $1 AND user_id = $2 AND idempotency_key = $3`,
+        [scope, userId, key]
+      );
+      const stored = existing.rows[0];
+
+      if (!stored) {
+        // Removed by a request that just failed; the client may retry
+        return res.status(409).json({
+          error: `The request with this ${IDEMPOTENCY_HEADER} failed, retry it`,
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+        });
+      }
+      if (stored.request_hash !== requestHash) {
+        return res.status(409).json({
+          error: `${IDEMPOTENCY_HEADER} was already used for a different request`,
+          code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+      if (!stored.completed_at) {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          error: `A request with this ${IDEMPOTENCY_HEADER} is still being processed`,
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+        });
+      }
+
+      logger.info(`Replaying stored response for ${IDEMPOTENCY_HEADER} ${key}`, { scope });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.response_status).json(stored.response_body);
+    }
+  } catch (error) {
+    logger.error('Error checking idempotency key:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  // Store the response before sending it, so a retry arriving right after
+  // the response always finds it. Server errors are not stored: the key is
+  // released and a retry runs the request again.
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const store = res.statusCode >= 500
+      ? pool.query(
+        'DELETE FROM idempotency_keys WHERE scope = $1 AND user_id = $2 AND idempotency_key = $3',
+        [scope, userId, key]
+      )
+      : pool.query(
+        `UPDATE idempotency_keys SET response_status = $4, response_body = $5, completed_at = CURRENT_TIMESTAMP
+         WHERE scope = $1 AND user_id = $2 AND idempotency_key = $3`,
+        [scope, userId, key, res.statusCode, JSON.stringify(body)]
+      );
+
+    store
+      .catch(error => logger.error('Error storing idempotent response:', error))
+      .finally(() => json(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  idempotency
+};
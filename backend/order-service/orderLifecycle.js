@@ -0,0 +1,179 @@
+const { counter } = require('./metrics');
+
+// The order lifecycle. An order only moves along these transitions; every
+// move is written to order_status_history together with the status itself.
+//
+//   pending     -> processing (payment authorized) or cancelled
+//   processing  -> shipped or cancelled
+//   shipped     -> delivered or refunded
+//   delivered   -> refunded
+//   cancelled and refunded are final
+//
+// Orders only become refunded through a full refund of their payment once
+// they have shipped. Money returned before that is part of cancelling.
+const TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+const transitionsTotal = counter('order_status_transitions_total', 'Order status changes, by previous and new status', ['from', 'to']);
+
+const lifecycleError = (status, message, code, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// createOrderLifecycle({ pool, logger, webhooks }) sets up status changes for
+// order-service. on() registers side effects of entering a status,
+// transition() changes an order's status with them, apply() changes it
+// inside the caller's transaction without them.
+const createOrderLifecycle = ({ pool, logger, webhooks }) => {
+  const hooks = new Map();
+
+  // before(order, context) runs before the order changes and may stop the
+  // change by throwing. after(order, context) runs once it is committed; its
+  // failures are logged, as the order has already changed.
+  const on = (status, { before, after }) => {
+    hooks.set(status, { before, after });
+  };
+
+  const record = (db, orderId, from, to, { changedBy = null, reason = null } = {}) =>
+    db.query(
+      `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, reason)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [orderId, from, to, changedBy, reason]
+    );
+
+  // Starts the history of an order inserted in the caller's transaction
+  const recordCreated = (db, order, options) => record(db, order.id, null, order.status, options);
+
+  // Moves the order to the status `to` in the caller's transaction, publishing
+  // order.<to>. With `from`, an order in any other status is left as it is.
+  // Resolves with { order, previous_status }, or null when nothing changed.
+  const apply = async (db, orderId, to, { from, changedBy = null, reason = null } = {}) => {
+    const current = await db.query('SELECT status FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (current.rows.length === 0) {
+      throw lifecycleError(404, 'Order not found', 'ORDER_NOT_FOUND');
+    }
+
+    const previousStatus = current.rows[0].status;
+    if (previousStatus === to || (from && !from.includes(previousStatus))) {
+      return null;
+    }
+    if (!canTransition(previousStatus, to)) {
+      throw lifecycleError(409, `An order that is ${previousStatus} cannot be ${to}`, 'INVALID_STATUS_TRANSITION', {
+        status: previousStatus,
+        allowed_statuses: TRANSITIONS[previousStatus] || []
+      });
+    }
+
+    const result = await db.query(
+      'UPDATE orders SET status = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [orderId, to]
+    );
+    const order = result.rows[0];
+    await record(db, orderId, previousStatus, to, { changedBy, reason });
+    await webhooks.publish(`order.${to}`, { ...order, previous_status: previousStatus, ...(reason && { reason }) }, db);
+
+    transitionsTotal.inc({ from: previousStatus, to });
+    logger.info(`Order ${orderId} status changed from ${previousStatus} to ${to}`, { changedBy, reason });
+    return { order, previous_status: previousStatus };
+  };
+
+  const runAfter = async (order, context) => {
+    const after = hooks.get(order.status)?.after;
+    if (!after) {
+      return;
+    }
+    try {
+      await after(order, context);
+    } catch (error) {
+      logger.error(`Side effects of order ${order.id} becoming ${order.status} failed:`, error);
+    }
+  };
+
+  // Changes an order's status with the hooks of the new status around it.
+  // Hooks hold no row lock, so the change is refused if another one got in
+  // first. Setting the status the order already has runs its hooks again,
+  // which retries side effects that failed the first time. context is passed
+  // to the hooks. Resolves with { order, changed }.
+  const transition = async (orderId, to, { from, changedBy = null, reason = null, context = {} } = {}) => {
+    const current = await pool.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+    if (current.rows.length === 0) {
+      throw lifecycleError(404, 'Order not found', 'ORDER_NOT_FOUND');
+    }
+
+    let order = current.rows[0];
+    if (from && !from.includes(order.status)) {
+      return { order, changed: false };
+    }
+    if (order.status !== to && !canTransition(order.status, to)) {
+      throw lifecycleError(409, `An order that is ${order.status} cannot be ${to}`, 'INVALID_STATUS_TRANSITION', {
+        status: order.status,
+        allowed_statuses: TRANSITIONS[order.status] || []
+      });
+    }
+
+    const before = hooks.get(to)?.before;
+    if (before) {
+      await before(order, context);
+    }
+
+    if (order.status === to) {
+      await runAfter(order, context);
+      return { order, changed: false };
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const applied = await apply(client, orderId, to, { from: [order.status], changedBy, reason });
+      if (!applied) {
+        throw lifecycleError(409, 'The order status changed in the meantime, try again', 'STATUS_CHANGED');
+      }
+      await client.query('COMMIT');
+      order = applied.order;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await runAfter(order, context);
+    return { order, changed: true };
+  };
+
+  const history = async (orderId) => {
+    const result = await pool.query(
+      `SELECT id, from_status, to_status, changed_by, reason, created_at
+       FROM order_status_history
+       WHERE order_id = $1
+       ORDER BY created_at, id`,
+      [orderId]
+    );
+    return result.rows;
+  };
+
+  return {
+    on,
+    recordCreated,
+    apply,
+    transition,
+    history
+  };
+};
+
+module.exports = {
+  TRANSITIONS,
+  createOrderLifecycle
+};
@@ -0,0 +1,82 @@
+const axios = require('axios');
+
+// Requests the state of the order's payment does not allow
+const conflict = (message, code, details) => {
+  const error = new Error(message);
+  error.status = 409;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+// createOrderPayments({ logger, getOrderPayment, paymentServiceUrl }) sets up
+// the payment side of order status changes: capture() for shipping an order,
+// release() for cancelling it. Both are before hooks (see orderLifecycle.js),
+// so if the payment step fails the order keeps its current status.
+const createOrderPayments = ({ logger, getOrderPayment, paymentServiceUrl }) => {
+  // Cancelling releases the money: an authorized payment is voided, a
+  // captured one refunded in full. Customers cancel as well, so this goes
+  // through payment-service's internal endpoints, which only record the user
+  // (context.requestedBy). Refunding what is left of a payment is a no-op
+  // once it is all refunded, so a retry cannot refund twice.
+  const release = async (order, { requestedBy }) => {
+    const payment = await getOrderPayment(order.id);
+    const headers = { 'x-requested-by': requestedBy };
+
+    if (payment?.status === 'authorized') {
+      await axios.post(`${paymentServiceUrl}/internal/payments/${payment.transaction_id}/void`, {}, { headers });
+      logger.info(`Payment voided for cancelled order ${order.id}`);
+    } else if (payment?.status === 'captured') {
+      try {
+        await axios.post(`${paymentServiceUrl}/internal/payments/${payment.transaction_id}/refund`, { reason: 'Order cancelled' }, { headers });
+        logger.info(`Payment refunded for cancelled order ${order.id}`);
+      } catch (error) {
+        const body = error.response?.data;
+        if (error.response?.status === 402) {
+          throw conflict('The payment for this order could not be refunded', body.code, {
+            decline_code: body.decline_code,
+            decline_message: body.decline_message
+          });
+        }
+        throw error;
+      }
+    }
+  };
+
+  // Payment-service authorizes captures with the identity of the user making
+  // the change (context.headers). A payment already captured is left as it is.
+  const capture = async (order, { headers }) => {
+    const payment = await getOrderPayment(order.id);
+
+    if (payment?.status === 'captured') {
+      return;
+    }
+    if (payment?.status !== 'authorized') {
+      throw conflict('Order has no authorized payment to capture', 'PAYMENT_NOT_AUTHORIZED', { payment_status: payment ? payment.status : null });
+    }
+
+    try {
+      await axios.post(`${paymentServiceUrl}/payments/${payment.transaction_id}/capture`, {}, { headers });
+      logger.info(`Payment captured for order ${order.id}`);
+    } catch (error) {
+      const body = error.response?.data;
+      if (error.response?.status === 402 || error.response?.status === 409) {
+        throw conflict('The payment for this order could not be captured', body.code || 'CAPTURE_FAILED', {
+          payment_status: body.status || payment.status,
+          decline_code: body.decline_code,
+          decline_message: body.decline_message
+        });
+      }
+      throw error;
+    }
+  };
+
+  return {
+    capture,
+    release
+  };
+};
+
+module.exports = {
+  createOrderPayments
+};
@@ -0,0 +1,68 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+const winston = require('winston');
+const { trace } = require('@opentelemetry/api');
+
+const CORRELATION_HEADER = 'x-correlation-id';
+
+// Incoming IDs are echoed into logs and headers, so only accept plain tokens
+const VALID_CORRELATION_ID = /^[A-Za-z0-9._-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+// Context of the request currently being handled ({} outside of a request).
+// The object is mutable so later middleware can add to it (e.g. userId).
+const getRequestContext = () => storage.getStore() || {};
+
+const getCorrelationId = () => getRequestContext().correlationId;
+
+// Accepts the caller's correlation ID or starts a new one, returns it in the
+// response and runs the rest of the request inside its context. Must be
+// registered before any middleware that logs.
+const requestContext = (req, res, next) => {
+  const incoming = req.get(CORRELATION_HEADER);
+  const correlationId = incoming && VALID_CORRELATION_ID.test(incoming) ? incoming : randomUUID();
+
+  // Rewritten on the request so proxied calls forward the same value
+  req.headers[CORRELATION_HEADER] = correlationId;
+  req.correlationId = correlationId;
+  res.set(CORRELATION_HEADER, correlationId);
+
+  storage.run({ correlationId, method: req.method, path: req.originalUrl }, next);
+};
+
+// winston format that stamps every log line written during a request, plus
+// the active trace so log lines can be matched to spans
+const contextFormat = winston.format((info) => {
+  const { correlationId, userId } = getRequestContext();
+  if (correlationId) {
+    info.correlationId = correlationId;
+  }
+  if (userId) {
+    info.userId = userId;
+  }
+  const span = trace.getActiveSpan();
+  if (span) {
+    info.traceId = span.spanContext().traceId;
+    info.spanId = span.spanContext().spanId;
+  }
+  return info;
+});
+
+// axios request interceptor that forwards the correlation ID to other services
+const forwardCorrelationId = (config) => {
+  const correlationId = getCorrelationId();
+  if (correlationId) {
+    config.headers[CORRELATION_HEADER] = correlationId;
+  }
+  return config;
+};
+
+module.exports = {
+  CORRELATION_HEADER,
+  requestContext,
+  getRequestContext,
+  getCorrelationId,
+  contextFormat,
+  forwardCorrelationId
+};
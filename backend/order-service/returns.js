@@ -0,0 +1,283 @@
+const axios = require('axios');
+const { IDEMPOTENCY_HEADER } = require('./idempotency');
+const { counter } = require('./metrics');
+
+// Returns (RMA) of delivered orders:
+//
+//   requested  the customer picked the items to send back and a reason
+//   approved   staff accepted it; the customer sends the items back
+//   rejected   staff declined it, with a note (final)
+//   refunded   the items arrived and their price was refunded (final)
+//
+// An item can only be returned once: quantities in returns that were not
+// rejected are taken off what is left to return.
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 30;
+
+const returnsTotal = counter('order_returns_total', 'Return requests, by the status they reached', ['status']);
+
+const returnError = (status, message, code, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+// Compared in cents; DECIMAL columns arrive as strings
+const toCents = (value) => Math.round(Number(value) * 100);
+
+// createReturns({ pool, logger, webhooks, getOrderPayment, paymentServiceUrl })
+// sets up returns for order-service. request() is for customers, review() and
+// receive() for staff.
+const createReturns = ({ pool, logger, webhooks, getOrderPayment, paymentServiceUrl }) => {
+  const withItems = async (db, returns) => {
+    if (returns.length === 0) {
+      return returns;
+    }
+
+    const items = await db.query(
+      `SELECT ri.return_id, ri.order_item_id, ri.quantity, oi.product_id, oi.price, p.name
+       FROM return_items ri
+       JOIN order_items oi ON oi.id = ri.order_item_id
+       LEFT JOIN products p ON p.id = oi.product_id
+       WHERE ri.return_id = ANY($1)
+       ORDER BY ri.id`,
+      [returns.map(ret => ret.id)]
+    );
+    return returns.map(ret => ({
+      ...ret,
+      items: items.rows
+        .filter(item => item.return_id === ret.id)
+        .map(({ return_id, ...item }) => item)
+    }));
+  };
+
+  const find = async (db, id, lock = false) => {
+    const result = await db.query(`SELECT * FROM return_requests WHERE id = $1${lock ? ' FOR UPDATE' : ''}`, [id]);
+    if (result.rows.length === 0) {
+      throw returnError(404, 'Return not found', 'RETURN_NOT_FOUND');
+    }
+    return result.rows[0];
+  };
+
+  const invalidState = (ret, action) =>
+    returnError(409, `A return that is ${ret.status} cannot be ${action}`, 'INVALID_RETURN_STATE', { status: ret.status });
+
+  // items are [{ order_item_id, quantity }]. The order row is locked, so two
+  // requests for the same order cannot both claim the last of an item.
+  const request = async ({ orderId, userId, items, reason, comment }) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const orderResult = await client.query(
+        'SELECT * FROM orders WHERE id = $1 AND user_id = $2 FOR UPDATE',
+        [orderId, userId]
+      );
+      if (orderResult.rows.length === 0) {
+        throw returnError(404, 'Order not found', 'ORDER_NOT_FOUND');
+      }
+      const order = orderResult.rows[0];
+      if (order.status !== 'delivered') {
+        throw returnError(409, 'Only delivered orders can be returned', 'ORDER_NOT_RETURNABLE', { status: order.status });
+      }
+
+      // Orders delivered before status history was kept fall back to their
+      // last update
+      const delivered = await client.query(
+        `SELECT MAX(created_at) AS delivered_at FROM order_status_history
+         WHERE order_id = $1 AND to_status = 'delivered'`,
+        [orderId]
+      );
+      const deliveredAt = new Date(delivered.rows[0].delivered_at || order.updated_at);
+      if (Date.now() - deliveredAt.getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+        throw returnError(409, `Orders can only be returned within ${RETURN_WINDOW_DAYS} days of delivery`, 'RETURN_WINDOW_CLOSED', {
+          delivered_at: deliveredAt
+        });
+      }
+
+      const returnable = await client.query(
+        `SELECT oi.id, oi.quantity - COALESCE(SUM(ri.quantity) FILTER (WHERE rr.status <> 'rejected'), 0) AS returnable
+         FROM order_items oi
+         LEFT JOIN return_items ri ON ri.order_item_id = oi.id
+         LEFT JOIN return_requests rr ON rr.id = ri.return_id
+         WHERE oi.order_id = $1
+         GROUP BY oi.id`,
+        [orderId]
+      );
+      const left = new Map(returnable.rows.map(row => [row.id, Number(row.returnable)]));
+      const exceeded = items
+        .filter(item => item.quantity > (left.get(item.order_item_id) || 0))
+        .map(item => ({
+          order_item_id: item.order_item_id,
+          requested: item.quantity,
+          returnable: left.get(item.order_item_id) || 0
+        }));
+      if (exceeded.length > 0) {
+        throw returnError(409, 'Some items cannot be returned in the quantity requested', 'RETURN_QUANTITY_EXCEEDED', { items: exceeded });
+      }
+
+      const created = await client.query(
+        `INSERT INTO return_requests (order_id, user_id, reason, comment)
+         VALUES ($1, $2, $3, $4) RETURNING *`,
+        [orderId, userId, reason, comment || null]
+      );
+      await client.query(
+        `INSERT INTO return_items (return_id, order_item_id, quantity)
+         SELECT $1, item.order_item_id, item.quantity
+         FROM unnest($2::int[], $3::int[]) AS item(order_item_id, quantity)`,
+        [created.rows[0].id, items.map(item => item.order_item_id), items.map(item => item.quantity)]
+      );
+
+      const [ret] = await withItems(client, created.rows);
+      await webhooks.publish('return.requested', ret, client);
+      await client.query('COMMIT');
+
+      returnsTotal.inc({ status: 'requested' });
+      logger.info(`Return ${ret.id} requested for order ${orderId}`, { reason });
+      return ret;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  // Returns of one order, newest first. userId limits them to the customer's
+  // own orders.
+  const forOrder = async (orderId, userId) => {
+    const order = await pool.query('SELECT id FROM orders WHERE id = $1 AND user_id = $2', [orderId, userId]);
+    if (order.rows.length === 0) {
+      throw returnError(404, 'Order not found', 'ORDER_NOT_FOUND');
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM return_requests WHERE order_id = $1 ORDER BY created_at DESC, id DESC',
+      [orderId]
+    );
+    return withItems(pool, result.rows);
+  };
+
+  // All returns, oldest first, so the queue is worked in order
+  const list = async ({ status }) => {
+    const result = await pool.query(
+      `SELECT * FROM return_requests
+       WHERE $1::varchar IS NULL OR status = $1::varchar
+       ORDER BY created_at, id`,
+      [status || null]
+    );
+    return withItems(pool, result.rows);
+  };
+
+  // Approves or rejects a requested return
+  const review = async (id, status, { reviewedBy, note = null }) => {
+    const result = await pool.query(
+      `UPDATE return_requests
+       SET status = $2, reviewed_by = $3, resolution_note = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'requested' RETURNING *`,
+      [id, status, reviewedBy, note]
+    );
+    if (result.rows.length === 0) {
+      throw invalidState(await find(pool, id), status);
+    }
+
+    const [ret] = await withItems(pool, result.rows);
+    returnsTotal.inc({ status });
+    logger.info(`Return ${id} ${status}`, { reviewedBy });
+    await webhooks.publishSafely(`return.${status}`, ret);
+    return ret;
+  };
+
+  // Records that the items of an approved return arrived and refunds their
+  // price. The return stays locked during the refund, so a second call waits
+  // and then finds it refunded. A declined refund leaves it approved; the
+  // next call is a new refund request, while a call whose response was lost
+  // is retried under the same idempotency key. The key belongs to the return,
+  // not to the staff member (requestedBy is only recorded), so a retry by
+  // someone else cannot refund twice either.
+  const receive = async (id, { requestedBy }) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await find(client, id, true);
+      if (current.status === 'refunded') {
+        await client.query('COMMIT');
+        return (await withItems(pool, [current]))[0];
+      }
+      if (current.status !== 'approved') {
+        throw invalidState(current, 'received');
+      }
+
+      const [ret] = await withItems(client, [current]);
+      const amountCents = ret.items.reduce((sum, item) => sum + toCents(item.price) * item.quantity, 0);
+      const payment = await getOrderPayment(ret.order_id);
+      if (!payment) {
+        throw returnError(409, 'The order has no payment to refund', 'PAYMENT_NOT_FOUND');
+      }
+
+      let refund;
+      try {
+        const response = await axios.post(
+          `${paymentServiceUrl}/internal/payments/${payment.transaction_id}/refund`,
+          { amount: amountCents / 100, reason: `Return #${id}` },
+          { headers: { 'x-requested-by': requestedBy, [IDEMPOTENCY_HEADER]: `return-${id}-refund-${ret.failed_refunds}` } }
+        );
+        refund = response.data;
+      } catch (error) {
+        const body = error.response?.data;
+        if (error.response?.status === 402) {
+          await client.query(
+            'UPDATE return_requests SET failed_refunds = failed_refunds + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [id]
+          );
+          await client.query('COMMIT');
+          throw returnError(409, 'The refund for this return failed', body.code, {
+            decline_code: body.decline_code,
+            decline_message: body.decline_message
+          });
+        }
+        if (error.response?.status === 400 || error.response?.status === 409) {
+          throw returnError(409, body.error, body.code || 'REFUND_REJECTED', {
+            refundable_amount: body.refundable_amount
+          });
+        }
+        throw error;
+      }
+
+      const result = await client.query(
+        `UPDATE return_requests
+         SET status = 'refunded', received_at = CURRENT_TIMESTAMP, refund_amount = $2, refund_id = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING *`,
+        [id, refund.amount, refund.id]
+      );
+      const [refunded] = await withItems(client, result.rows);
+      await webhooks.publish('return.refunded', refunded, client);
+      await client.query('COMMIT');
+
+      returnsTotal.inc({ status: 'refunded' });
+      logger.info(`Return ${id} received, ${refund.amount} refunded for order ${ret.order_id}`);
+      return refunded;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  return {
+    request,
+    forOrder,
+    list,
+    review,
+    receive
+  };
+};
+
+module.exports = {
+  createReturns
+};
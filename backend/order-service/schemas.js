@@ -0,0 +1,104 @@
+const { Joi, id, bodyId } = require('./validation');
+
+const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'];
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'refunded'];
+const RETURN_REASONS = ['damaged', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+
+const quantity = Joi.number().strict().integer().min(1).max(99);
+
+const shippingAddress = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  street: Joi.string().trim().max(255).required(),
+  city: Joi.string().trim().max(100).required(),
+  postal_code: Joi.string().trim().max(20).required(),
+  country: Joi.string().trim().max(100).required()
+});
+
+// Forwarded to payment-service; checked here as well so a mistyped number is
+// rejected before the order is created
+const cardNumber = Joi.string().replace(/[\s-]/g, '').pattern(/^\d{12,19}$/)
+  .messages({ 'string.pattern.base': 'card_number must be 12 to 19 digits' });
+
+const orderParams = Joi.object({ id: id.required() });
+const returnParams = Joi.object({ id: id.required() });
+
+module.exports = {
+  ORDER_STATUSES,
+  RETURN_STATUSES,
+  RETURN_REASONS,
+
+  addToCart: {
+    body: Joi.object({
+      productId: bodyId.required(),
+      quantity: quantity.default(1)
+    })
+  },
+
+  cartItemParams: {
+    params: Joi.object({ productId: id.required() })
+  },
+
+  orderParams: {
+    params: orderParams
+  },
+
+  // Exactly one of address_id (address book entry) or an inline address
+  createOrder: {
+    body: Joi.object({
+      items: Joi.array().items(Joi.object({
+        product_id: bodyId.required(),
+        quantity: quantity.required()
+      })).min(1).max(50).required(),
+      address_id: bodyId,
+      shipping_address: shippingAddress,
+      card_number: cardNumber
+    }).xor('address_id', 'shipping_address')
+  },
+
+  updateStatus: {
+    params: orderParams,
+    body: Joi.object({
+      // Orders only become refunded through a full refund of their payment
+      status: Joi.string().valid(...ORDER_STATUSES.filter(status => status !== 'refunded')).required(),
+      // Kept in the order's status history
+      reason: Joi.string().trim().max(255)
+    })
+  },
+
+  cancelOrder: {
+    params: orderParams,
+    body: Joi.object({
+      reason: Joi.string().trim().max(255)
+    })
+  },
+
+  // Each order item at most once; quantities are checked against the order
+  createReturn: {
+    params: orderParams,
+    body: Joi.object({
+      items: Joi.array().items(Joi.object({
+        order_item_id: bodyId.required(),
+        quantity: quantity.required()
+      })).min(1).max(50).unique('order_item_id').required(),
+      reason: Joi.string().valid(...RETURN_REASONS).required(),
+      comment: Joi.string().trim().max(1000).allow('')
+    })
+  },
+
+  listReturns: {
+    query: Joi.object({
+      status: Joi.string().valid(...RETURN_STATUSES)
+    })
+  },
+
+  returnParams: {
+    params: returnParams
+  },
+
+  rejectReturn: {
+    params: returnParams,
+    body: Joi.object({
+      note: Joi.string().trim().max(255).required()
+    })
+  }
+};
@@ -0,0 +1,290 @@
+const axios = require('axios');
+const { createCheckout } = require('../checkout');
+const { createOrderLifecycle } = require('../orderLifecycle');
+const { createWebhooks } = require('../webhooks');
+const { createEventBus } = require('../events');
+const { createTestDatabase } = require('../../test/db');
+
+jest.mock('axios');
+
+const PRODUCT_SERVICE_URL = 'http://product-service';
+const PAYMENT_SERVICE_URL = 'http://payment-service';
+
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+const authorized = { transaction_id: 'txn_1', status: 'authorized', decline_code: null, decline_message: null };
+
+// Answers the calls to product-service and payment-service. payment is what
+// the payment call resolves with, or an error to reject with.
+const services = ({ reserve, payment = authorized, release } = {}) => (url) => {
+  if (url === `${PRODUCT_SERVICE_URL}/internal/reservations`) {
+    return reserve ? Promise.reject(reserve) : Promise.resolve({ data: {} });
+  }
+  if (url.endsWith('/release')) {
+    return release ? Promise.reject(release) : Promise.resolve({ data: {} });
+  }
+  if (url === `${PAYMENT_SERVICE_URL}/internal/payments`) {
+    return payment instanceof Error ? Promise.reject(payment) : Promise.resolve({ data: payment });
+  }
+  if (url.endsWith('/void')) {
+    return Promise.resolve({ data: {} });
+  }
+  return Promise.reject(new Error(`Unexpected call to ${url}`));
+};
+
+const responseError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data }
+});
+
+const posted = (suffix) => axios.post.mock.calls.filter(([url]) => url.endsWith(suffix));
+
+let db;
+let checkout;
+let getOrderPayment;
+let checkoutRequest;
+
+const saga = async () => (await db.pool.query('SELECT * FROM checkout_sagas')).rows[0];
+
+const orderRow = async (orderId) => (await db.pool.query('SELECT * FROM orders WHERE id = $1', [orderId])).rows[0];
+
+const statusHistory = async (orderId) =>
+  (await db.pool.query('SELECT from_status, to_status, reason FROM order_status_history WHERE order_id = $1 ORDER BY id', [orderId])).rows;
+
+const outboxTypes = async () =>
+  (await db.pool.query('SELECT event_type FROM outbox_events ORDER BY id')).rows.map(row => row.event_type);
+
+beforeAll(async () => {
+  db = await createTestDatabase();
+});
+
+beforeEach(async () => {
+  jest.resetAllMocks();
+  await db.reset();
+
+  const user = await db.insertUser();
+  const product = await db.insertProduct();
+  const other = await db.insertProduct();
+  await db.pool.query(
+    'INSERT INTO cart (user_id, product_id, quantity) VALUES ($1, $2, 2), ($1, $3, 1)',
+    [user.id, product.id, other.id]
+  );
+  checkoutRequest = {
+    userId: user.id,
+    items: [{ product_id: product.id, quantity: 2, price: '10.00' }],
+    totalAmount: 20,
+    shippingAddress: { name: 'C', street: 'S 1', postal_code: '1000', city: 'X', country: 'BE' },
+    cardNumber: '4242424242424242'
+  };
+
+  // As in server.js
+  const webhooks = createWebhooks({ pool: db.pool, service: 'order-service', eventTypes: ['*'], logger });
+  getOrderPayment = jest.fn().mockResolvedValue(null);
+  checkout = createCheckout({
+    pool: db.pool,
+    logger,
+    webhooks,
+    events: createEventBus({ pool: db.pool, service: 'order-service', logger }),
+    lifecycle: createOrderLifecycle({ pool: db.pool, logger, webhooks }),
+    getOrderPayment,
+    productServiceUrl: PRODUCT_SERVICE_URL,
+    paymentServiceUrl: PAYMENT_SERVICE_URL
+  });
+});
+
+afterAll(async () => {
+  await db.close();
+});
+
+describe('checkout saga', () => {
+  it('reserves stock, creates the order and confirms it once the payment is authorized', async () => {
+    axios.post.mockImplementation(services());
+
+    const result = await checkout.place(checkoutRequest);
+
+    expect(result).toMatchObject({ completed: true, order: { id: 1, status: 'processing' }, payment: { status: 'authorized' } });
+    expect(await saga()).toMatchObject({ order_id: 1, state: 'completed', failure_code: null });
+    expect(await orderRow(1)).toMatchObject({ status: 'processing', total_amount: '20.00' });
+    expect((await db.pool.query('SELECT product_id, quantity FROM order_items')).rows)
+      .toEqual([{ product_id: checkoutRequest.items[0].product_id, quantity: 2 }]);
+    expect(await statusHistory(1)).toEqual([
+      { from_status: null, to_status: 'pending', reason: null },
+      { from_status: 'pending', to_status: 'processing', reason: 'payment_authorized' }
+    ]);
+    expect(await outboxTypes()).toEqual(['OrderCreated']);
+    // Only the ordered product leaves the cart
+    expect((await db.pool.query('SELECT product_id FROM cart')).rows).toHaveLength(1);
+    expect(axios.post).toHaveBeenCalledWith(
+      `${PAYMENT_SERVICE_URL}/internal/payments`,
+      { order_id: 1, amount: 20, card_number: checkoutRequest.cardNumber },
+      expect.objectContaining({ headers: { 'Idempotency-Key': 'order-1-payment' } })
+    );
+    expect(posted('/release')).toHaveLength(0);
+  });
+
+  it('never stores the card number', async () => {
+    axios.post.mockImplementation(services());
+
+    await checkout.place(checkoutRequest);
+
+    expect(JSON.stringify(await saga())).not.toContain(checkoutRequest.cardNumber);
+  });
+
+  it('rejects an order with items out of stock without creating it', async () => {
+    axios.post.mockImplementation(services({
+      reserve: responseError(409, { error: 'Not enough stock', code: 'OUT_OF_STOCK', items: [{ product_id: 1 }] })
+    }));
+
+    await expect(checkout.place(checkoutRequest)).rejects.toMatchObject({
+      status: 409,
+      code: 'OUT_OF_STOCK',
+      details: { items: [{ product_id: 1 }] }
+    });
+    expect((await db.pool.query('SELECT * FROM orders')).rows).toHaveLength(0);
+    expect(await outboxTypes()).toEqual([]);
+    expect(await saga()).toMatchObject({ state: 'compensated', failure_code: 'OUT_OF_STOCK' });
+    expect(posted('/internal/reservations/1/release')).toHaveLength(1);
+  });
+
+  it('rejects products removed since their price was looked up as a bad request', async () => {
+    axios.post.mockImplementation(services({
+      reserve: responseError(404, { error: 'Product not found', code: 'PRODUCT_NOT_FOUND', product_ids: [1] })
+    }));
+
+    await expect(checkout.place(checkoutRequest)).rejects.toMatchObject({
+      status: 400,
+      code: 'PRODUCT_NOT_FOUND',
+      details: { product_ids: [1] }
+    });
+  });
+
+  it('cancels the order and releases its stock when the payment is declined', async () => {
+    axios.post.mockImplementation(services({
+      payment: { transaction_id: 'txn_1', status: 'failed', decline_code: 'insufficient_funds', decline_message: 'Insufficient funds' }
+    }));
+
+    await expect(checkout.place(checkoutRequest)).rejects.toMatchObject({
+      status: 402,
+      code: 'PAYMENT_DECLINED',
+      details: { order_id: 1, decline_code: 'insufficient_funds' }
+    });
+    expect((await orderRow(1)).status).toBe('cancelled');
+    expect((await statusHistory(1)).pop()).toEqual({ from_status: 'pending', to_status: 'cancelled', reason: 'payment_declined' });
+    expect(await saga()).toMatchObject({ state: 'compensated', failure_code: 'PAYMENT_DECLINED' });
+    expect((await db.pool.query('SELECT * FROM cart')).rows).toHaveLength(2);
+    expect(posted('/release')).toHaveLength(1);
+  });
+
+  it('undoes the order when payment-service fails without taking the payment', async () => {
+    axios.post.mockImplementation(services({ payment: responseError(500, { error: 'Internal server error' }) }));
+
+    await expect(checkout.place(checkoutRequest)).rejects.toMatchObject({ status: 502, code: 'PAYMENT_UNAVAILABLE' });
+    expect((await orderRow(1)).status).toBe('cancelled');
+    expect((await saga()).state).toBe('compensated');
+  });
+
+  it('confirms the order when the payment call failed but the payment went through', async () => {
+    axios.post.mockImplementation(services({ payment: responseError(502, {}) }));
+    getOrderPayment.mockResolvedValue(authorized);
+
+    const result = await checkout.place(checkoutRequest);
+
+    expect(result).toMatchObject({ completed: true, order: { status: 'processing' } });
+    expect((await saga()).state).toBe('completed');
+  });
+
+  it('leaves the saga to recovery when the payment call times out', async () => {
+    axios.post.mockImplementation(services({ payment: new Error('timeout of 30000ms exceeded') }));
+
+    const result = await checkout.place(checkoutRequest);
+
+    expect(result).toMatchObject({ completed: false, order: { status: 'pending' }, payment: { status: 'pending' } });
+    expect((await saga()).state).toBe('charging');
+    expect((await orderRow(1)).status).toBe('pending');
+    expect(posted('/release')).toHaveLength(0);
+  });
+
+  it('finishes a timed out checkout once its payment is reported, only once', async () => {
+    axios.post.mockImplementation(services({ payment: new Error('timeout of 30000ms exceeded') }));
+    await checkout.place(checkoutRequest);
+    await db.pool.query("UPDATE checkout_sagas SET updated_at = updated_at - INTERVAL '1 minute'");
+    getOrderPayment.mockClear().mockResolvedValue(authorized);
+
+    await Promise.all([checkout.onPaymentSettled(1), checkout.onPaymentSettled(1)]);
+
+    expect(getOrderPayment).toHaveBeenCalledTimes(1);
+    expect(await saga()).toMatchObject({ state: 'completed', recovery_attempts: 1 });
+    expect(await statusHistory(1)).toHaveLength(2);
+  });
+
+  it('waits while payment-service is still authorizing the payment', async () => {
+    axios.post.mockImplementation(services({
+      payment: responseError(409, { error: 'Order already has an active payment', code: 'PAYMENT_EXISTS', status: 'pending' })
+    }));
+    getOrderPayment.mockResolvedValue({ transaction_id: null, status: 'pending' });
+
+    const result = await checkout.place(checkoutRequest);
+    await db.pool.query("UPDATE checkout_sagas SET updated_at = updated_at - INTERVAL '1 minute'");
+    await checkout.onPaymentSettled(1);
+
+    expect(result).toMatchObject({ completed: false, payment: { status: 'pending' } });
+    expect(await saga()).toMatchObject({ state: 'charging', recovery_attempts: 1 });
+    expect((await orderRow(1)).status).toBe('pending');
+    expect(posted('/release')).toHaveLength(0);
+  });
+
+  it('waits for a payment the provider did not answer in time, and undoes the saga when it fails', async () => {
+    axios.post.mockImplementation(services({ payment: { transaction_id: null, status: 'pending' } }));
+
+    const result = await checkout.place(checkoutRequest);
+    expect(result).toMatchObject({ completed: false, payment: { status: 'pending' } });
+    expect(await saga()).toMatchObject({ state: 'charging' });
+
+    getOrderPayment.mockResolvedValue({ transaction_id: null, status: 'failed', decline_code: 'processing_error' });
+    await db.pool.query("UPDATE checkout_sagas SET updated_at = updated_at - INTERVAL '1 minute'");
+    await checkout.onPaymentSettled(1);
+
+    expect(await saga()).toMatchObject({ state: 'compensated', failure_code: 'PAYMENT_DECLINED' });
+    expect((await orderRow(1)).status).toBe('cancelled');
+    expect(posted('/release')).toHaveLength(1);
+  });
+
+  it('leaves a checkout still waiting for its payment call to place()', async () => {
+    axios.post.mockImplementation(services({ payment: new Error('timeout of 30000ms exceeded') }));
+    await checkout.place(checkoutRequest);
+    getOrderPayment.mockResolvedValue(authorized);
+
+    await checkout.onPaymentSettled(1);
+
+    expect(await saga()).toMatchObject({ state: 'charging', recovery_attempts: 0 });
+  });
+
+  it('voids the payment and undoes the saga when the order was cancelled while being charged', async () => {
+    const charge = services();
+    axios.post.mockImplementation(async (url, ...rest) => {
+      if (url === `${PAYMENT_SERVICE_URL}/internal/payments`) {
+        await db.pool.query("UPDATE orders SET status = 'cancelled' WHERE id = 1");
+      }
+      return charge(url, ...rest);
+    });
+
+    await expect(checkout.place(checkoutRequest)).rejects.toMatchObject({
+      status: 409,
+      code: 'ORDER_CANCELLED',
+      details: { order_id: 1 }
+    });
+    expect(posted('/internal/payments/txn_1/void')).toHaveLength(1);
+    expect(await saga()).toMatchObject({ state: 'compensated', failure_code: 'ORDER_CANCELLED' });
+    expect((await db.pool.query('SELECT * FROM cart')).rows).toHaveLength(2);
+    expect(posted('/release')).toHaveLength(1);
+  });
+
+  it('leaves a saga whose undo failed in compensating for recovery', async () => {
+    axios.post.mockImplementation(services({
+      reserve: responseError(409, { error: 'Not enough stock', code: 'OUT_OF_STOCK', items: [] }),
+      release: new Error('connect ECONNREFUSED')
+    }));
+
+    await expect(checkout.place(checkoutRequest)).rejects.toMatchObject({ code: 'OUT_OF_STOCK' });
+    expect(await saga()).toMatchObject({ state: 'compensating', failure_code: 'OUT_OF_STOCK' });
+  });
+});
@@ -0,0 +1,223 @@
+const { createEventBus } = require('../events');
+const { createTestDatabase } = require('../../test/db');
+
+const logger = { info: () => {}, error: () => {} };
+
+let db;
+let relays;
+
+const outbox = async () => (await db.pool.query('SELECT * FROM outbox_events ORDER BY id')).rows;
+
+const unpublished = async (source = 'order-service') =>
+  (await db.pool.query('SELECT id FROM outbox_events WHERE source = $1 AND published_at IS NULL', [source])).rows.length;
+
+const processed = async () => (await db.pool.query('SELECT * FROM processed_events')).rows;
+
+// Waits up to 5 seconds for the consumer, which handles events after the
+// relay has moved on
+const until = async (condition) => {
+  for (let i = 0; i < 500; i++) {
+    if (await condition()) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting for the event bus');
+};
+
+// For checking that something did not happen: gives deliveries in flight a
+// few round trips to the database to finish
+const settle = async () => {
+  for (let i = 0; i < 20; i++) {
+    await db.pool.query('SELECT 1');
+  }
+};
+
+// Runs the relay of every started bus once, side by side as replicas would
+const relayOnce = () => Promise.all(relays.map(relay => relay()));
+
+const recordOrderEvent = (events, type, orderId) =>
+  events.record(db.pool, type, { aggregateType: 'order', aggregateId: orderId, data: { order_id: orderId } });
+
+// As after a relay crashed between publishing an event and marking it
+const markUnpublished = (event) =>
+  db.pool.query('UPDATE outbox_events SET published_at = NULL WHERE event_id = $1', [event.id]);
+
+beforeAll(async () => {
+  db = await createTestDatabase();
+});
+
+beforeEach(async () => {
+  // start() runs the relay on an interval; the tests run it themselves
+  relays = [];
+  jest.spyOn(global, 'setInterval').mockImplementation(relay => {
+    relays.push(relay);
+    return { unref: () => {} };
+  });
+  await db.reset();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await db.close();
+});
+
+describe('outbox relay', () => {
+  let events;
+
+  beforeEach(() => {
+    events = createEventBus({ pool: db.pool, service: 'order-service', logger });
+  });
+
+  it('records the event envelope in the outbox', async () => {
+    const event = await recordOrderEvent(events, 'OrderCreated', 7);
+
+    expect(event).toEqual({
+      id: expect.any(String),
+      type: 'OrderCreated',
+      source: 'order-service',
+      aggregate_type: 'order',
+      aggregate_id: '7',
+      occurred_at: expect.any(String),
+      data: { order_id: 7 }
+    });
+    expect(await outbox()).toEqual([expect.objectContaining({
+      event_id: event.id,
+      source: 'order-service',
+      event_type: 'OrderCreated',
+      aggregate_id: '7',
+      payload: event,
+      attempts: 0,
+      published_at: null
+    })]);
+  });
+
+  it('records nothing when the transaction rolls back', async () => {
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await events.record(client, 'OrderCreated', { aggregateType: 'order', aggregateId: 7, data: {} });
+      await client.query('ROLLBACK');
+    } finally {
+      client.release();
+    }
+
+    expect(await outbox()).toHaveLength(0);
+  });
+
+  it('publishes recorded events oldest first and marks them published', async () => {
+    const received = [];
+    events.subscribe(['OrderCreated', 'OrderCancelled'], async event => { received.push(event); });
+    events.start();
+
+    const created = await recordOrderEvent(events, 'OrderCreated', 7);
+    const cancelled = await recordOrderEvent(events, 'OrderCancelled', 7);
+    await relayOnce();
+    await until(() => received.length === 2);
+
+    expect(received).toEqual([created, cancelled]);
+    expect((await outbox()).every(row => row.published_at && row.attempts === 1)).toBe(true);
+  });
+
+  it('publishes each event once', async () => {
+    const handler = jest.fn();
+    events.subscribe(['OrderCreated'], handler);
+    events.start();
+
+    await recordOrderEvent(events, 'OrderCreated', 7);
+    await relayOnce();
+    await until(async () => (await processed()).length === 1);
+    await relayOnce();
+    await settle();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect((await outbox())[0].attempts).toBe(1);
+  });
+
+  it('keeps relaying until the outbox is empty', async () => {
+    events.start();
+    for (let orderId = 1; orderId <= 120; orderId++) {
+      await recordOrderEvent(events, 'OrderCreated', orderId);
+    }
+
+    await relayOnce();
+
+    expect(await unpublished()).toBe(0);
+  });
+
+  it('shares the outbox between replicas without publishing an event twice', async () => {
+    const handler = jest.fn();
+    const replica = createEventBus({ pool: db.pool, service: 'order-service', logger });
+    events.subscribe(['OrderCreated'], handler);
+    replica.subscribe(['OrderCreated'], handler);
+    events.start();
+    replica.start();
+    for (let orderId = 1; orderId <= 120; orderId++) {
+      await recordOrderEvent(events, 'OrderCreated', orderId);
+    }
+
+    await relayOnce();
+    await until(async () => (await processed()).length === 120);
+
+    expect(handler).toHaveBeenCalledTimes(120);
+    expect((await outbox()).every(row => row.attempts === 1)).toBe(true);
+  });
+
+  it('leaves the events of other services to their own relay', async () => {
+    const productEvents = createEventBus({ pool: db.pool, service: 'product-service', logger });
+    events.start();
+
+    await productEvents.record(db.pool, 'StockChanged', { aggregateType: 'product', aggregateId: 1, data: {} });
+    await recordOrderEvent(events, 'OrderCreated', 7);
+    await relayOnce();
+
+    expect(await unpublished('product-service')).toBe(1);
+  });
+});
+
+describe('consumer', () => {
+  let events;
+
+  beforeEach(() => {
+    events = createEventBus({ pool: db.pool, service: 'order-service', logger });
+  });
+
+  it('handles an event delivered twice only once', async () => {
+    const handler = jest.fn();
+    events.subscribe(['OrderCreated'], handler);
+    events.start();
+
+    const event = await recordOrderEvent(events, 'OrderCreated', 7);
+    await relayOnce();
+    await until(async () => (await processed()).length === 1);
+    await markUnpublished(event);
+    await relayOnce();
+    await until(async () => (await outbox())[0].attempts === 2);
+    await settle();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(await processed()).toEqual([expect.objectContaining({ consumer: 'order-service', event_id: event.id })]);
+  });
+
+  it('handles a redelivered event again when its handler failed', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('database unavailable'))
+      .mockResolvedValueOnce();
+    events.subscribe(['OrderCreated'], handler);
+    events.start();
+
+    const event = await recordOrderEvent(events, 'OrderCreated', 7);
+    await relayOnce();
+    await until(() => handler.mock.calls.length === 1);
+    expect(await processed()).toHaveLength(0);
+
+    await markUnpublished(event);
+    await relayOnce();
+    await until(async () => (await processed()).length === 1);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+});
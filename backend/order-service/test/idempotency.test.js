@@ -0,0 +1,200 @@
+const express = require('express');
+const { idempotency } = require('../idempotency');
+const { createTestDatabase } = require('../../test/db');
+
+const logger = { info: () => {}, error: () => {} };
+
+// An app with one idempotent endpoint whose handler is given per test
+const startApp = async (pool, handler) => {
+  const app = express();
+  app.use(express.json());
+  app.post('/orders', idempotency(pool, 'orders', logger), handler);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const post = async (body, { key, userId = '4' } = {}) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/orders`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-user-id': userId,
+        ...(key !== undefined && { 'Idempotency-Key': key })
+      },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  return { post, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+let db;
+
+const storedKeys = async () =>
+  (await db.pool.query('SELECT * FROM idempotency_keys ORDER BY id')).rows;
+
+describe('idempotency', () => {
+  let app;
+  let runs;
+
+  const createOrder = (req, res) => {
+    runs += 1;
+    res.status(201).json({ id: runs, items: req.body.items });
+  };
+
+  beforeAll(async () => {
+    db = await createTestDatabase();
+  });
+
+  beforeEach(async () => {
+    runs = 0;
+    await db.reset();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  it('replays the stored response for a retry instead of running again', async () => {
+    app = await startApp(db.pool, createOrder);
+
+    const first = await app.post({ items: [1] }, { key: 'order-1' });
+    const retry = await app.post({ items: [1] }, { key: 'order-1' });
+
+    expect(runs).toBe(1);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers.get('Idempotent-Replayed')).toBe('true');
+    expect(await storedKeys()).toMatchObject([{
+      scope: 'orders',
+      user_id: 4,
+      idempotency_key: 'order-1',
+      response_status: 201,
+      response_body: first.body,
+      completed_at: expect.any(Date)
+    }]);
+  });
+
+  it('runs only one of two identical requests arriving together', async () => {
+    app = await startApp(db.pool, async (req, res) => {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      createOrder(req, res);
+    });
+
+    const responses = await Promise.all([
+      app.post({ items: [1] }, { key: 'order-1' }),
+      app.post({ items: [1] }, { key: 'order-1' })
+    ]);
+
+    expect(runs).toBe(1);
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+  });
+
+  it('treats bodies with the same fields in another order as the same request', async () => {
+    app = await startApp(db.pool, createOrder);
+
+    await app.post({ items: [1], note: 'x' }, { key: 'order-1' });
+    const retry = await app.post({ note: 'x', items: [1] }, { key: 'order-1' });
+
+    expect(runs).toBe(1);
+    expect(retry.status).toBe(201);
+  });
+
+  it('refuses a key reused for a different request', async () => {
+    app = await startApp(db.pool, createOrder);
+
+    await app.post({ items: [1] }, { key: 'order-1' });
+    const reused = await app.post({ items: [2] }, { key: 'order-1' });
+
+    expect(runs).toBe(1);
+    expect(reused.status).toBe(409);
+    expect(reused.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  it('keeps the keys of different users apart', async () => {
+    app = await startApp(db.pool, createOrder);
+
+    await app.post({ items: [1] }, { key: 'order-1', userId: '4' });
+    const other = await app.post({ items: [1] }, { key: 'order-1', userId: '5' });
+
+    expect(runs).toBe(2);
+    expect(other.headers.get('Idempotent-Replayed')).toBeNull();
+  });
+
+  it('asks a retry to wait while the first request is still running', async () => {
+    let finish;
+    const finished = new Promise(resolve => { finish = resolve; });
+    app = await startApp(db.pool, async (req, res) => {
+      await finished;
+      createOrder(req, res);
+    });
+
+    const first = app.post({ items: [1] }, { key: 'order-1' });
+    const retry = await app.post({ items: [1] }, { key: 'order-1' });
+    finish();
+
+    expect(retry.status).toBe(409);
+    expect(retry.body.code).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+    expect(retry.headers.get('Retry-After')).toBe('1');
+    expect((await first).status).toBe(201);
+  });
+
+  it('lets a retry take over a key abandoned by a request that never finished', async () => {
+    app = await startApp(db.pool, createOrder);
+    await db.pool.query(
+      `INSERT INTO idempotency_keys (scope, user_id, idempotency_key, request_hash, created_at)
+       VALUES ('orders', 4, 'order-1', $1, NOW() - INTERVAL '10 minutes')`,
+      ['0'.repeat(64)]
+    );
+
+    const retry = await app.post({ items: [1] }, { key: 'order-1' });
+
+    expect(runs).toBe(1);
+    expect(retry.status).toBe(201);
+  });
+
+  it('does not store server errors, so a retry runs again', async () => {
+    app = await startApp(db.pool, (req, res) => {
+      runs += 1;
+      if (runs === 1) {
+        return res.status(500).json({ error: 'Internal server error' });
+      }
+      res.status(201).json({ id: runs });
+    });
+
+    expect((await app.post({ items: [1] }, { key: 'order-1' })).status).toBe(500);
+    expect(await storedKeys()).toHaveLength(0);
+    const retry = await app.post({ items: [1] }, { key: 'order-1' });
+
+    expect(runs).toBe(2);
+    expect(retry.status).toBe(201);
+  });
+
+  it('stores client errors like any other response', async () => {
+    app = await startApp(db.pool, (req, res) => {
+      runs += 1;
+      res.status(400).json({ error: 'Out of stock', code: 'INSUFFICIENT_STOCK' });
+    });
+
+    await app.post({ items: [1] }, { key: 'order-1' });
+    const retry = await app.post({ items: [1] }, { key: 'order-1' });
+
+    expect(runs).toBe(1);
+    expect(retry).toMatchObject({ status: 400, body: { code: 'INSUFFICIENT_STOCK' } });
+  });
+
+  it('rejects malformed keys and leaves requests without one alone', async () => {
+    app = await startApp(db.pool, createOrder);
+
+    expect((await app.post({ items: [1] }, { key: 'has space' })).body.code).toBe('INVALID_IDEMPOTENCY_KEY');
+    await app.post({ items: [1] });
+    await app.post({ items: [1] });
+
+    expect(runs).toBe(2);
+  });
+});
@@ -0,0 +1,212 @@
+const { TRANSITIONS, createOrderLifecycle } = require('../orderLifecycle');
+const { createWebhooks } = require('../webhooks');
+const { createTestDatabase } = require('../../test/db');
+
+let db;
+let logger;
+let lifecycle;
+let orderId;
+
+const setup = async (status) => {
+  const user = await db.insertUser();
+  orderId = (await db.insertOrder({ userId: user.id, status })).id;
+};
+
+const statusOf = async () => (await db.pool.query('SELECT status FROM orders WHERE id = $1', [orderId])).rows[0].status;
+
+const history = async () =>
+  (await db.pool.query('SELECT order_id, from_status, to_status, changed_by, reason FROM order_status_history ORDER BY id')).rows;
+
+const webhookEvents = async () =>
+  (await db.pool.query('SELECT event_type, payload FROM webhook_deliveries ORDER BY id')).rows;
+
+beforeAll(async () => {
+  db = await createTestDatabase();
+});
+
+beforeEach(async () => {
+  await db.reset();
+  // Every order event is queued for this subscription
+  await db.pool.query(
+    "INSERT INTO webhook_subscriptions (service, url, event_types, secret) VALUES ('order-service', 'http://hooks.test', '{*}', 'secret')"
+  );
+  logger = { info: () => {}, error: jest.fn() };
+  const webhooks = createWebhooks({ pool: db.pool, service: 'order-service', eventTypes: ['*'], logger });
+  lifecycle = createOrderLifecycle({ pool: db.pool, logger, webhooks });
+});
+
+afterAll(async () => {
+  await db.close();
+});
+
+describe('TRANSITIONS', () => {
+  it('ends in cancelled or refunded', () => {
+    expect(TRANSITIONS.cancelled).toEqual([]);
+    expect(TRANSITIONS.refunded).toEqual([]);
+  });
+
+  it('only refunds orders that have shipped', () => {
+    const refundableFrom = Object.keys(TRANSITIONS).filter(status => TRANSITIONS[status].includes('refunded'));
+    expect(refundableFrom.sort()).toEqual(['delivered', 'shipped']);
+  });
+});
+
+describe('apply', () => {
+  it('changes the status, records it and publishes order.<status>', async () => {
+    await setup('pending');
+
+    const applied = await lifecycle.apply(db.pool, orderId, 'processing', { changedBy: 5, reason: 'payment_authorized' });
+
+    expect(applied).toMatchObject({ order: { id: orderId, status: 'processing' }, previous_status: 'pending' });
+    expect(await statusOf()).toBe('processing');
+    expect(await history()).toEqual([
+      { order_id: orderId, from_status: 'pending', to_status: 'processing', changed_by: 5, reason: 'payment_authorized' }
+    ]);
+    const [delivery] = await webhookEvents();
+    expect(delivery.event_type).toBe('order.processing');
+    expect(delivery.payload.data).toMatchObject({ id: orderId, previous_status: 'pending', reason: 'payment_authorized' });
+  });
+
+  it('keeps nothing of the change when the caller rolls back', async () => {
+    await setup('pending');
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await lifecycle.apply(client, orderId, 'processing');
+      await client.query('ROLLBACK');
+    } finally {
+      client.release();
+    }
+
+    expect(await statusOf()).toBe('pending');
+    expect(await history()).toHaveLength(0);
+    expect(await webhookEvents()).toHaveLength(0);
+  });
+
+  it('refuses transitions the lifecycle does not allow', async () => {
+    await setup('pending');
+
+    await expect(lifecycle.apply(db.pool, orderId, 'shipped')).rejects.toMatchObject({
+      status: 409,
+      code: 'INVALID_STATUS_TRANSITION',
+      details: { status: 'pending', allowed_statuses: ['processing', 'cancelled'] }
+    });
+    expect(await statusOf()).toBe('pending');
+  });
+
+  it('never leaves a final status', async () => {
+    await setup('cancelled');
+
+    await expect(lifecycle.apply(db.pool, orderId, 'processing')).rejects.toMatchObject({
+      code: 'INVALID_STATUS_TRANSITION',
+      details: { allowed_statuses: [] }
+    });
+  });
+
+  it('leaves the order alone when it already has the status or is not in `from`', async () => {
+    await setup('processing');
+
+    expect(await lifecycle.apply(db.pool, orderId, 'processing')).toBeNull();
+    expect(await lifecycle.apply(db.pool, orderId, 'cancelled', { from: ['pending'] })).toBeNull();
+    expect(await history()).toHaveLength(0);
+    expect(await webhookEvents()).toHaveLength(0);
+  });
+
+  it('reports unknown orders', async () => {
+    await expect(lifecycle.apply(db.pool, 999, 'processing')).rejects.toMatchObject({ status: 404, code: 'ORDER_NOT_FOUND' });
+  });
+});
+
+describe('transition', () => {
+  it('runs the hooks of the new status around the change', async () => {
+    await setup('processing');
+    const seen = [];
+    lifecycle.on('shipped', {
+      before: async (order, context) => seen.push(['before', order.status, context]),
+      after: async (order, context) => seen.push(['after', order.status, context])
+    });
+
+    const result = await lifecycle.transition(orderId, 'shipped', { changedBy: 5, context: { carrier: 'dhl' } });
+
+    expect(result).toMatchObject({ changed: true, order: { status: 'shipped' } });
+    expect(await statusOf()).toBe('shipped');
+    expect(await history()).toEqual([expect.objectContaining({ from_status: 'processing', to_status: 'shipped', changed_by: 5 })]);
+    expect(seen).toEqual([
+      ['before', 'processing', { carrier: 'dhl' }],
+      ['after', 'shipped', { carrier: 'dhl' }]
+    ]);
+  });
+
+  it('does not change the order when a before hook throws', async () => {
+    await setup('processing');
+    lifecycle.on('cancelled', { before: async () => { throw new Error('void failed'); } });
+
+    await expect(lifecycle.transition(orderId, 'cancelled')).rejects.toThrow('void failed');
+    expect(await statusOf()).toBe('processing');
+    expect(await history()).toHaveLength(0);
+  });
+
+  it('keeps the change when an after hook fails, and logs it', async () => {
+    await setup('pending');
+    lifecycle.on('cancelled', { after: async () => { throw new Error('release failed'); } });
+
+    const result = await lifecycle.transition(orderId, 'cancelled');
+
+    expect(result.changed).toBe(true);
+    expect(await statusOf()).toBe('cancelled');
+    expect(logger.error).toHaveBeenCalled();
+  });
+
+  it('runs the hooks again for the status the order already has', async () => {
+    await setup('cancelled');
+    const after = jest.fn();
+    lifecycle.on('cancelled', { after });
+
+    const result = await lifecycle.transition(orderId, 'cancelled');
+
+    expect(result.changed).toBe(false);
+    expect(after).toHaveBeenCalledTimes(1);
+    expect(await history()).toHaveLength(0);
+  });
+
+  it('leaves orders outside `from` unchanged without running hooks', async () => {
+    await setup('shipped');
+    const before = jest.fn();
+    lifecycle.on('cancelled', { before });
+
+    const result = await lifecycle.transition(orderId, 'cancelled', { from: ['pending', 'processing'] });
+
+    expect(result.changed).toBe(false);
+    expect(before).not.toHaveBeenCalled();
+    expect(await statusOf()).toBe('shipped');
+  });
+
+  it('refuses the change when the status moved on while the hooks ran', async () => {
+    await setup('processing');
+    const after = jest.fn();
+    lifecycle.on('cancelled', {
+      // Another request ships the order in the meantime
+      before: async () => { await lifecycle.transition(orderId, 'shipped'); },
+      after
+    });
+
+    await expect(lifecycle.transition(orderId, 'cancelled')).rejects.toMatchObject({ status: 409, code: 'STATUS_CHANGED' });
+    expect(await statusOf()).toBe('shipped');
+    expect(after).not.toHaveBeenCalled();
+  });
+
+  it('lets only one of two concurrent changes through', async () => {
+    await setup('processing');
+
+    const results = await Promise.allSettled([
+      lifecycle.transition(orderId, 'shipped'),
+      lifecycle.transition(orderId, 'cancelled')
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.filter(result => result.reason?.code === 'STATUS_CHANGED')).toHaveLength(1);
+    expect(await history()).toHaveLength(1);
+    expect(await webhookEvents()).toHaveLength(1);
+  });
+});
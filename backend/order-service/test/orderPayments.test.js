@@ -0,0 +1,79 @@
+const axios = require('axios');
+const { createOrderPayments } = require('../orderPayments');
+
+jest.mock('axios');
+
+const PAYMENT_SERVICE_URL = 'http://payment-service';
+
+const logger = { info: () => {} };
+
+const setup = (payment) => {
+  const getOrderPayment = jest.fn().mockResolvedValue(payment);
+  return createOrderPayments({ logger, getOrderPayment, paymentServiceUrl: PAYMENT_SERVICE_URL });
+};
+
+const order = { id: 1, status: 'processing' };
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  axios.post.mockResolvedValue({ data: {} });
+});
+
+describe('release (cancelling an order)', () => {
+  it('voids an authorized payment on behalf of the user cancelling', async () => {
+    await setup({ transaction_id: 'txn_1', status: 'authorized' }).release(order, { requestedBy: 4 });
+
+    expect(axios.post).toHaveBeenCalledWith(
+      `${PAYMENT_SERVICE_URL}/internal/payments/txn_1/void`,
+      {},
+      { headers: { 'x-requested-by': 4 } }
+    );
+  });
+
+  it('refunds all that is left of a captured payment', async () => {
+    await setup({ transaction_id: 'txn_1', status: 'captured' }).release(order, { requestedBy: 4 });
+
+    expect(axios.post).toHaveBeenCalledWith(
+      `${PAYMENT_SERVICE_URL}/internal/payments/txn_1/refund`,
+      { reason: 'Order cancelled' },
+      { headers: { 'x-requested-by': 4 } }
+    );
+  });
+
+  it('stops the cancellation when the refund is declined', async () => {
+    axios.post.mockRejectedValue(Object.assign(new Error('Request failed with status code 402'), {
+      response: { status: 402, data: { code: 'REFUND_FAILED', decline_code: 'expired_card', decline_message: 'Card expired' } }
+    }));
+
+    await expect(setup({ transaction_id: 'txn_1', status: 'captured' }).release(order, { requestedBy: 4 }))
+      .rejects.toMatchObject({ status: 409, code: 'REFUND_FAILED', details: { decline_code: 'expired_card' } });
+  });
+
+  it('has nothing to release for orders without a live payment', async () => {
+    await setup(null).release(order, { requestedBy: 4 });
+    await setup({ transaction_id: 'txn_1', status: 'voided' }).release(order, { requestedBy: 4 });
+
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+});
+
+describe('capture (shipping an order)', () => {
+  const headers = { 'x-user-id': '5', 'x-user-role': 'admin' };
+
+  it('captures an authorized payment as the user shipping the order', async () => {
+    await setup({ transaction_id: 'txn_1', status: 'authorized' }).capture(order, { headers });
+
+    expect(axios.post).toHaveBeenCalledWith(`${PAYMENT_SERVICE_URL}/payments/txn_1/capture`, {}, { headers });
+  });
+
+  it('leaves a captured payment alone', async () => {
+    await setup({ transaction_id: 'txn_1', status: 'captured' }).capture(order, { headers });
+
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('refuses to ship an order without an authorized payment', async () => {
+    await expect(setup({ transaction_id: 'txn_1', status: 'expired' }).capture(order, { headers }))
+      .rejects.toMatchObject({ status: 409, code: 'PAYMENT_NOT_AUTHORIZED', details: { payment_status: 'expired' } });
+  });
+});
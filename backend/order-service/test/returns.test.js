@@ -0,0 +1,262 @@
+const axios = require('axios');
+const { createReturns } = require('../returns');
+const { createWebhooks } = require('../webhooks');
+const { createTestDatabase } = require('../../test/db');
+
+jest.mock('axios');
+
+const PAYMENT_SERVICE_URL = 'http://payment-service';
+
+const logger = { info: () => {}, error: () => {} };
+
+let db;
+let returns;
+let getOrderPayment;
+let customer;
+let order;
+
+// A delivered order of two items: 2 x 10.00 and 1 x 5.50
+const setup = async ({ status = 'delivered', deliveredDaysAgo = 1 } = {}) => {
+  const first = await db.insertProduct({ price: '10.00' });
+  const second = await db.insertProduct({ price: '5.50' });
+  order = await db.insertOrder({
+    userId: customer.id,
+    status,
+    items: [
+      { product_id: first.id, quantity: 2, price: '10.00' },
+      { product_id: second.id, quantity: 1, price: '5.50' }
+    ]
+  });
+  if (status === 'delivered') {
+    await db.pool.query(
+      `INSERT INTO order_status_history (order_id, from_status, to_status, created_at)
+       VALUES ($1, 'shipped', 'delivered', NOW() - make_interval(days => $2))`,
+      [order.id, deliveredDaysAgo]
+    );
+  }
+  return order.items.map(item => item.id);
+};
+
+const requestReturn = (items, userId = customer.id) =>
+  returns.request({ orderId: order.id, userId, items, reason: 'damaged' });
+
+const storedReturn = async (id) => (await db.pool.query('SELECT * FROM return_requests WHERE id = $1', [id])).rows[0];
+
+const webhookEvents = async () =>
+  (await db.pool.query('SELECT event_type FROM webhook_deliveries ORDER BY id')).rows.map(row => row.event_type);
+
+const refundKeys = () => axios.post.mock.calls.map(([, , options]) => options.headers['Idempotency-Key']);
+
+const declinedRefund = () => Object.assign(new Error('Request failed with status code 402'), {
+  response: { status: 402, data: { code: 'REFUND_FAILED', decline_code: 'expired_card', decline_message: 'Card expired' } }
+});
+
+const refunded = (id) => ({ data: { id, amount: '25.50' } });
+
+beforeAll(async () => {
+  db = await createTestDatabase();
+});
+
+beforeEach(async () => {
+  jest.resetAllMocks();
+  await db.reset();
+  await db.pool.query(
+    "INSERT INTO webhook_subscriptions (service, url, event_types, secret) VALUES ('order-service', 'http://hooks.test', '{*}', 'secret')"
+  );
+  customer = await db.insertUser();
+
+  getOrderPayment = jest.fn().mockResolvedValue({ transaction_id: 'txn_1', status: 'captured' });
+  returns = createReturns({
+    pool: db.pool,
+    logger,
+    webhooks: createWebhooks({ pool: db.pool, service: 'order-service', eventTypes: ['*'], logger }),
+    getOrderPayment,
+    paymentServiceUrl: PAYMENT_SERVICE_URL
+  });
+});
+
+afterAll(async () => {
+  await db.close();
+});
+
+describe('request', () => {
+  it('records the items to return and announces it', async () => {
+    const [laptop] = await setup();
+
+    const ret = await requestReturn([{ order_item_id: laptop, quantity: 1 }]);
+
+    expect(ret).toMatchObject({ id: 1, status: 'requested', items: [{ order_item_id: laptop, quantity: 1, price: '10.00' }] });
+    expect(await storedReturn(1)).toMatchObject({ order_id: order.id, user_id: customer.id, reason: 'damaged' });
+    expect(await webhookEvents()).toEqual(['return.requested']);
+  });
+
+  it('refuses more than is left to return, counting earlier returns', async () => {
+    const [laptop, mouse] = await setup();
+    await requestReturn([{ order_item_id: laptop, quantity: 1 }]);
+
+    await expect(requestReturn([{ order_item_id: laptop, quantity: 2 }, { order_item_id: mouse, quantity: 1 }]))
+      .rejects.toMatchObject({
+        status: 409,
+        code: 'RETURN_QUANTITY_EXCEEDED',
+        details: { items: [{ order_item_id: laptop, requested: 2, returnable: 1 }] }
+      });
+    expect((await db.pool.query('SELECT * FROM return_requests')).rows).toHaveLength(1);
+  });
+
+  it('lets only one of two concurrent requests claim the last of an item', async () => {
+    const [laptop] = await setup();
+
+    const results = await Promise.allSettled([
+      requestReturn([{ order_item_id: laptop, quantity: 2 }]),
+      requestReturn([{ order_item_id: laptop, quantity: 2 }])
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.filter(result => result.reason?.code === 'RETURN_QUANTITY_EXCEEDED')).toHaveLength(1);
+    expect((await db.pool.query('SELECT * FROM return_items')).rows).toHaveLength(1);
+  });
+
+  it('gives rejected returns their items back', async () => {
+    const [laptop] = await setup();
+    await requestReturn([{ order_item_id: laptop, quantity: 2 }]);
+    await returns.review(1, 'rejected', { reviewedBy: 5, note: 'Worn' });
+
+    const again = await requestReturn([{ order_item_id: laptop, quantity: 2 }]);
+
+    expect(again.status).toBe('requested');
+  });
+
+  it('only takes back delivered orders', async () => {
+    const [laptop] = await setup({ status: 'shipped' });
+
+    await expect(requestReturn([{ order_item_id: laptop, quantity: 1 }]))
+      .rejects.toMatchObject({ status: 409, code: 'ORDER_NOT_RETURNABLE' });
+  });
+
+  it('only takes back orders within the return window', async () => {
+    const [laptop] = await setup({ deliveredDaysAgo: 31 });
+
+    await expect(requestReturn([{ order_item_id: laptop, quantity: 1 }]))
+      .rejects.toMatchObject({ status: 409, code: 'RETURN_WINDOW_CLOSED' });
+  });
+
+  it('does not find other customers\' orders', async () => {
+    const [laptop] = await setup();
+    const other = await db.insertUser();
+
+    await expect(requestReturn([{ order_item_id: laptop, quantity: 1 }], other.id))
+      .rejects.toMatchObject({ status: 404, code: 'ORDER_NOT_FOUND' });
+  });
+});
+
+describe('review', () => {
+  it('decides a requested return once', async () => {
+    const [laptop] = await setup();
+    await requestReturn([{ order_item_id: laptop, quantity: 1 }]);
+
+    expect(await returns.review(1, 'approved', { reviewedBy: 5 })).toMatchObject({ status: 'approved', reviewed_by: 5 });
+    await expect(returns.review(1, 'rejected', { reviewedBy: 5 })).rejects.toMatchObject({
+      status: 409,
+      code: 'INVALID_RETURN_STATE',
+      details: { status: 'approved' }
+    });
+    expect((await storedReturn(1)).status).toBe('approved');
+  });
+});
+
+describe('receive', () => {
+  const approvedReturn = async () => {
+    const [laptop, mouse] = await setup();
+    await requestReturn([{ order_item_id: laptop, quantity: 2 }, { order_item_id: mouse, quantity: 1 }]);
+    await returns.review(1, 'approved', { reviewedBy: 5 });
+  };
+
+  it('refunds the price of the returned items under a key of the return', async () => {
+    await approvedReturn();
+    axios.post.mockResolvedValue(refunded(3));
+
+    const ret = await returns.receive(1, { requestedBy: 5 });
+
+    expect(axios.post).toHaveBeenCalledWith(
+      `${PAYMENT_SERVICE_URL}/internal/payments/txn_1/refund`,
+      { amount: 25.5, reason: 'Return #1' },
+      { headers: { 'x-requested-by': 5, 'Idempotency-Key': 'return-1-refund-0' } }
+    );
+    expect(ret).toMatchObject({ status: 'refunded', refund_amount: '25.50', refund_id: 3 });
+    expect(await storedReturn(1)).toMatchObject({ status: 'refunded', refund_id: 3, received_at: expect.any(Date) });
+    expect(await webhookEvents()).toEqual(['return.requested', 'return.approved', 'return.refunded']);
+  });
+
+  it('does not refund a return twice', async () => {
+    await approvedReturn();
+    axios.post.mockResolvedValue(refunded(3));
+    await returns.receive(1, { requestedBy: 5 });
+
+    const again = await returns.receive(1, { requestedBy: 6 });
+
+    expect(again.status).toBe('refunded');
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('refunds once when received twice at the same time', async () => {
+    await approvedReturn();
+    axios.post.mockImplementation(() => new Promise(resolve => setTimeout(() => resolve(refunded(3)), 50)));
+
+    const [first, second] = await Promise.all([
+      returns.receive(1, { requestedBy: 5 }),
+      returns.receive(1, { requestedBy: 6 })
+    ]);
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(first.status).toBe('refunded');
+    expect(second.status).toBe('refunded');
+  });
+
+  it('keeps a return approved when its refund is declined, and retries under the next key', async () => {
+    await approvedReturn();
+    axios.post.mockRejectedValueOnce(declinedRefund()).mockResolvedValueOnce(refunded(4));
+
+    await expect(returns.receive(1, { requestedBy: 5 })).rejects.toMatchObject({
+      status: 409,
+      code: 'REFUND_FAILED',
+      details: { decline_code: 'expired_card', decline_message: 'Card expired' }
+    });
+    expect(await storedReturn(1)).toMatchObject({ status: 'approved', failed_refunds: 1, refund_id: null });
+
+    const ret = await returns.receive(1, { requestedBy: 5 });
+
+    // The declined request is done with; the retry is a new refund
+    expect(refundKeys()).toEqual(['return-1-refund-0', 'return-1-refund-1']);
+    expect(ret).toMatchObject({ status: 'refunded', refund_id: 4 });
+    expect(await storedReturn(1)).toMatchObject({ status: 'refunded', failed_refunds: 1 });
+  });
+
+  it('retries under the same key when the refund response was lost', async () => {
+    await approvedReturn();
+    axios.post
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockRejectedValueOnce(declinedRefund())
+      .mockResolvedValueOnce(refunded(4));
+
+    await expect(returns.receive(1, { requestedBy: 5 })).rejects.toThrow('socket hang up');
+    expect(await storedReturn(1)).toMatchObject({ status: 'approved', failed_refunds: 0 });
+    await expect(returns.receive(1, { requestedBy: 6 })).rejects.toMatchObject({ code: 'REFUND_FAILED' });
+    await returns.receive(1, { requestedBy: 5 });
+
+    // The lost request may have gone through, so it is repeated as it was
+    expect(refundKeys()).toEqual(['return-1-refund-0', 'return-1-refund-0', 'return-1-refund-1']);
+  });
+
+  it('only receives approved returns of paid orders', async () => {
+    const [laptop] = await setup();
+    await requestReturn([{ order_item_id: laptop, quantity: 1 }]);
+
+    await expect(returns.receive(1, { requestedBy: 5 })).rejects.toMatchObject({ code: 'INVALID_RETURN_STATE' });
+
+    await returns.review(1, 'approved', { reviewedBy: 5 });
+    getOrderPayment.mockResolvedValue(null);
+    await expect(returns.receive(1, { requestedBy: 5 })).rejects.toMatchObject({ code: 'PAYMENT_NOT_FOUND' });
+    expect(axios.post).not.toHaveBeenCalled();
+    expect((await storedReturn(1)).status).toBe('approved');
+  });
+});
@@ -0,0 +1,90 @@
+const { createUserDeletion } = require('../userDeletion');
+const { createTestDatabase } = require('../../test/db');
+
+const logger = { info: () => {} };
+
+let db;
+let userDeletion;
+let customer;
+let staff;
+let order;
+let otherOrder;
+
+const orderRow = async (id) => (await db.pool.query('SELECT * FROM orders WHERE id = $1', [id])).rows[0];
+
+const userDeleted = (user) => ({ type: 'UserDeleted', data: { id: user.id } });
+
+beforeAll(async () => {
+  db = await createTestDatabase();
+});
+
+beforeEach(async () => {
+  await db.reset();
+  customer = await db.insertUser();
+  staff = await db.insertUser({ role: 'support' });
+  order = await db.insertOrder({ userId: customer.id, status: 'delivered' });
+  otherOrder = await db.insertOrder({ userId: staff.id });
+  await db.pool.query(
+    "UPDATE orders SET shipping_address = 'Ada, Main St 1, 1000 Town, AT', shipping_address_details = '{\"name\": \"Ada\"}'"
+  );
+  await db.pool.query(
+    `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by)
+     VALUES ($1, 'pending', 'cancelled', $2), ($3, 'pending', 'processing', $4)`,
+    [order.id, customer.id, otherOrder.id, staff.id]
+  );
+  await db.pool.query(
+    `INSERT INTO return_requests (order_id, user_id, reason, reviewed_by)
+     VALUES ($1, $2, 'damaged', $3), ($4, $3, 'damaged', $2)`,
+    [order.id, customer.id, staff.id, otherOrder.id]
+  );
+
+  userDeletion = createUserDeletion({ pool: db.pool, logger });
+});
+
+afterAll(async () => {
+  await db.close();
+});
+
+describe('onUserDeleted', () => {
+  it('keeps the orders of a deleted user until order-service handles UserDeleted', async () => {
+    await db.pool.query('DELETE FROM users WHERE id = $1', [customer.id]);
+
+    expect((await orderRow(order.id)).user_id).toBe(customer.id);
+  });
+
+  it('removes the user and their address from their orders, returns and changes', async () => {
+    await db.pool.query('DELETE FROM users WHERE id = $1', [customer.id]);
+
+    expect(await userDeletion.onUserDeleted(userDeleted(customer))).toEqual({ anonymized_orders: 1 });
+
+    expect(await orderRow(order.id)).toMatchObject({
+      user_id: null,
+      shipping_address: null,
+      shipping_address_details: null,
+      status: 'delivered'
+    });
+    const history = await db.pool.query('SELECT order_id, changed_by FROM order_status_history ORDER BY id');
+    expect(history.rows).toEqual([
+      { order_id: order.id, changed_by: null },
+      { order_id: otherOrder.id, changed_by: staff.id }
+    ]);
+    const returns = await db.pool.query('SELECT order_id, user_id, reviewed_by FROM return_requests ORDER BY id');
+    expect(returns.rows).toEqual([
+      { order_id: order.id, user_id: null, reviewed_by: staff.id },
+      { order_id: otherOrder.id, user_id: staff.id, reviewed_by: null }
+    ]);
+  });
+
+  it('leaves other users\' orders alone', async () => {
+    await userDeletion.onUserDeleted(userDeleted(customer));
+
+    expect(await orderRow(otherOrder.id)).toMatchObject({ user_id: staff.id, shipping_address: 'Ada, Main St 1, 1000 Town, AT' });
+  });
+
+  it('changes nothing when the event is handled again', async () => {
+    await userDeletion.onUserDeleted(userDeleted(customer));
+
+    expect(await userDeletion.onUserDeleted(userDeleted(customer))).toEqual({ anonymized_orders: 0 });
+    expect((await orderRow(order.id)).user_id).toBeNull();
+  });
+});
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const { createWebhooks } = require('../webhooks');
+const { createTestDatabase } = require('../../test/db');
+
+jest.mock('axios');
+
+const SECRET = 'whsec_test';
+
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+let db;
+let webhooks;
+let dispatchers;
+
+const deliveries = async () => (await db.pool.query('SELECT * FROM webhook_deliveries ORDER BY id')).rows;
+
+// Seconds from the last attempt to the next one
+const retryDelays = async () =>
+  (await db.pool.query(
+    'SELECT EXTRACT(EPOCH FROM next_attempt_at - last_attempt_at)::float AS delay FROM webhook_deliveries ORDER BY id'
+  )).rows.map(row => row.delay);
+
+const subscribe = async ({ active = true } = {}) =>
+  (await db.pool.query(
+    `INSERT INTO webhook_subscriptions (service, url, event_types, secret, active)
+     VALUES ('order-service', 'http://hooks.test', '{*}', $1, $2) RETURNING *`,
+    [SECRET, active]
+  )).rows[0];
+
+// Makes every pending delivery due now, as if its retry delay had passed
+const makeDue = () => db.pool.query("UPDATE webhook_deliveries SET next_attempt_at = CURRENT_TIMESTAMP WHERE status = 'pending'");
+
+// Runs the dispatcher of every started instance once, side by side as
+// replicas would
+const dispatchOnce = () => Promise.all(dispatchers.map(dispatch => dispatch()));
+
+const receiverAnswers = (status) => axios.post.mockResolvedValue({ status });
+
+beforeAll(async () => {
+  db = await createTestDatabase();
+});
+
+beforeEach(async () => {
+  jest.resetAllMocks();
+  // start() runs the dispatcher on an interval; the tests run it themselves
+  dispatchers = [];
+  jest.spyOn(global, 'setInterval').mockImplementation(dispatch => {
+    dispatchers.push(dispatch);
+    return { unref: () => {} };
+  });
+  await db.reset();
+  webhooks = createWebhooks({ pool: db.pool, service: 'order-service', eventTypes: ['order.created'], logger });
+  webhooks.start();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await db.close();
+});
+
+describe('delivery', () => {
+  it('signs the body with the subscription secret', async () => {
+    await subscribe();
+    receiverAnswers(204);
+    const event = await webhooks.publish('order.created', { id: 7 });
+
+    await dispatchOnce();
+
+    const [url, body, { headers }] = axios.post.mock.calls[0];
+    expect(url).toBe('http://hooks.test');
+    expect(JSON.parse(body)).toEqual(event);
+    expect(headers).toMatchObject({ 'X-Webhook-Id': event.id, 'X-Webhook-Event': 'order.created' });
+
+    // As a receiver verifies it
+    const [, timestamp, signature] = headers['X-Webhook-Signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+    expect(signature).toBe(expected);
+    expect(Math.abs(Date.now() / 1000 - Number(timestamp))).toBeLessThan(5);
+    expect(signature).not.toBe(crypto.createHmac('sha256', 'whsec_other').update(`${timestamp}.${body}`).digest('hex'));
+
+    expect(await deliveries()).toEqual([expect.objectContaining({
+      status: 'succeeded',
+      attempts: 1,
+      last_response_status: 204,
+      delivered_at: expect.any(Date)
+    })]);
+  });
+
+  it('retries failures after 10s, 20s, 40s, with up to 20% jitter', async () => {
+    await subscribe();
+    receiverAnswers(503);
+    await webhooks.publish('order.created', { id: 7 });
+
+    const delays = [];
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      await makeDue();
+      await dispatchOnce();
+      delays.push(...await retryDelays());
+    }
+
+    [10, 20, 40].forEach((base, i) => {
+      expect(delays[i]).toBeGreaterThanOrEqual(base);
+      expect(delays[i]).toBeLessThanOrEqual(base * 1.2);
+    });
+    expect(await deliveries()).toEqual([expect.objectContaining({
+      status: 'pending',
+      attempts: 3,
+      last_response_status: 503,
+      last_error: 'Receiver answered HTTP 503'
+    })]);
+  });
+
+  it('gives up after the last attempt', async () => {
+    await subscribe();
+    axios.post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    await webhooks.publish('order.created', { id: 7 });
+    await db.pool.query('UPDATE webhook_deliveries SET attempts = 7');
+
+    await dispatchOnce();
+    await makeDue();
+    await dispatchOnce();
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(await deliveries()).toEqual([expect.objectContaining({
+      status: 'failed',
+      attempts: 8,
+      next_attempt_at: null,
+      last_error: 'connect ECONNREFUSED'
+    })]);
+  });
+});
+
+describe('claiming', () => {
+  it('skips deliveries another dispatcher holds', async () => {
+    await subscribe();
+    receiverAnswers(200);
+    await webhooks.publish('order.created', { id: 7 });
+    await webhooks.publish('order.created', { id: 8 });
+    const other = await db.pool.connect();
+
+    try {
+      await other.query('BEGIN');
+      await other.query('SELECT id FROM webhook_deliveries WHERE id = 1 FOR UPDATE');
+      await dispatchOnce();
+      await other.query('COMMIT');
+    } finally {
+      other.release();
+    }
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect((await deliveries()).map(delivery => delivery.status)).toEqual(['pending', 'succeeded']);
+  });
+
+  it('sends each delivery once when replicas dispatch at the same time', async () => {
+    await subscribe();
+    receiverAnswers(200);
+    createWebhooks({ pool: db.pool, service: 'order-service', eventTypes: ['order.created'], logger }).start();
+    for (let id = 1; id <= 50; id++) {
+      await webhooks.publish('order.created', { id });
+    }
+
+    await dispatchOnce();
+
+    expect(axios.post).toHaveBeenCalledTimes(50);
+    expect((await deliveries()).every(delivery => delivery.status === 'succeeded' && delivery.attempts === 1)).toBe(true);
+  });
+});
+
+describe('inactive subscriptions', () => {
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    const app = express();
+    app.use(webhooks.adminRouter());
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const patch = (id, body) => fetch(`${baseUrl}/subscriptions/${id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  it('get nothing, not even deliveries queued while they were active', async () => {
+    const subscription = await subscribe();
+    await webhooks.publish('order.created', { id: 7 });
+    await db.pool.query('UPDATE webhook_subscriptions SET active = false');
+    await webhooks.publish('order.created', { id: 8 });
+
+    await dispatchOnce();
+
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(await deliveries()).toEqual([expect.objectContaining({ subscription_id: subscription.id, status: 'pending' })]);
+  });
+
+  it('fail their pending deliveries when deactivated', async () => {
+    const subscription = await subscribe();
+    const other = await subscribe();
+    receiverAnswers(200);
+    await webhooks.publish('order.created', { id: 7 });
+
+    const response = await patch(subscription.id, { active: false });
+    await dispatchOnce();
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ id: subscription.id, active: false });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(await deliveries()).toEqual([
+      expect.objectContaining({ subscription_id: subscription.id, status: 'failed', last_error: 'Subscription deactivated' }),
+      expect.objectContaining({ subscription_id: other.id, status: 'succeeded' })
+    ]);
+  });
+
+  it('keep their deliveries on other changes', async () => {
+    const subscription = await subscribe();
+    await webhooks.publish('order.created', { id: 7 });
+
+    await patch(subscription.id, { description: 'Fulfilment' });
+
+    expect((await deliveries())[0].status).toBe('pending');
+  });
+});
@@ -0,0 +1,45 @@
+// Orders outlive deleted accounts. When user-service publishes UserDeleted,
+// the user's orders and returns lose their owner and shipping address, and
+// the user disappears from status changes and return reviews they made.
+// Running it again for the same user changes nothing.
+
+// createUserDeletion({ pool, logger }) sets up onUserDeleted(event) for
+// order-service's event consumer
+const createUserDeletion = ({ pool, logger }) => {
+  const anonymize = async (userId) => {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const orders = await client.query(
+        `UPDATE orders SET user_id = NULL, shipping_address = NULL, shipping_address_details = NULL,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1`,
+        [userId]
+      );
+      await client.query('UPDATE order_status_history SET changed_by = NULL WHERE changed_by = $1', [userId]);
+      await client.query('UPDATE return_requests SET user_id = NULL WHERE user_id = $1', [userId]);
+      await client.query('UPDATE return_requests SET reviewed_by = NULL WHERE reviewed_by = $1', [userId]);
+      await client.query('COMMIT');
+
+      logger.info(`Data of deleted user ${userId} anonymized; ${orders.rowCount} orders`);
+      return { anonymized_orders: orders.rowCount };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  const onUserDeleted = (event) => anonymize(event.data.id);
+
+  return {
+    anonymize,
+    onUserDeleted
+  };
+};
+
+module.exports = {
+  createUserDeletion
+};
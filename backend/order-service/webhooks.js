@@ -0,0 +1,383 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const { Joi, validate, id } = require('./validation');
+const { counter } = require('./metrics');
+
+// Outbound webhooks. Subscribers register a URL and the event types they want;
+// every published event becomes one delivery per matching subscription in
+// webhook_deliveries, which doubles as the delivery log. A dispatcher polls
+// for due deliveries and POSTs them, retrying failures with exponential
+// backoff until WEBHOOK_MAX_ATTEMPTS is reached. Deactivating a subscription
+// fails its pending deliveries; nothing is sent to inactive subscriptions.
+//
+// Each request carries:
+//   X-Webhook-Id         the event id (the same for every subscriber)
+//   X-Webhook-Event      the event type
+//   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//                        keyed with the subscription's secret
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 2000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const BACKOFF_BASE_MS = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS, 10) || 10000;
+const BACKOFF_MAX_MS = parseInt(process.env.WEBHOOK_BACKOFF_MAX_MS, 10) || 60 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+const deliveriesAttempted = counter('webhook_deliveries_total', 'Webhook delivery attempts, by result', ['result']);
+
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// 10s, 20s, 40s, ... capped at BACKOFF_MAX_MS, with up to 20% jitter so
+// retries to a recovering receiver do not arrive all at once
+const backoffMs = (attempts) => {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+};
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Secrets are only returned when a subscription is created
+const subscriptionView = ({ secret, ...subscription }) => ({
+  ...subscription,
+  secret_hint: `...${secret.slice(-4)}`
+});
+
+// createWebhooks({ pool, service, eventTypes, logger }) sets up webhooks for
+// one service. publish() records an event, adminRouter() manages
+// subscriptions and deliveries, start() runs the dispatcher.
+const createWebhooks = ({ pool, service, eventTypes, logger }) => {
+  const eventType = Joi.string().valid('*', ...eventTypes);
+
+  const subscriptionFields = {
+    url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2048),
+    event_types: Joi.array().items(eventType).min(1).unique(),
+    description: Joi.string().trim().max(255).allow(''),
+    active: Joi.boolean()
+  };
+
+  const schemas = {
+    create: {
+      body: Joi.object({
+        ...subscriptionFields,
+        url: subscriptionFields.url.required(),
+        event_types: subscriptionFields.event_types.required()
+      })
+    },
+    update: {
+      params: Joi.object({ id: id.required() }),
+      body: Joi.object(subscriptionFields).min(1)
+    },
+    byId: {
+      params: Joi.object({ id: id.required() })
+    },
+    listDeliveries: {
+      query: Joi.object({
+        subscription_id: id,
+        status: Joi.string().valid('pending', 'succeeded', 'failed'),
+        event_type: Joi.string().max(100),
+        limit: Joi.number().integer().min(1).max(200).default(50)
+      })
+    }
+  };
+
+  // Records one delivery per active subscription for the event type. Pass the
+  // transaction's client to publish atomically with the change itself.
+  const publish = async (type, data, db = pool) => {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      service,
+      created_at: new Date().toISOString(),
+      data
+    };
+
+    const result = await db.query(
+      `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, next_attempt_at)
+       SELECT id, $2, $3, $4, CURRENT_TIMESTAMP FROM webhook_subscriptions
+       WHERE service = $1 AND active AND ($3::varchar = ANY(event_types) OR '*' = ANY(event_types))`,
+      [service, event.id, type, JSON.stringify(event)]
+    );
+
+    if (result.rowCount > 0) {
+      logger.info(`Webhook event ${type} queued for ${result.rowCount} subscription(s)`, { eventId: event.id });
+    }
+    return event;
+  };
+
+  // For events published after the change is committed: a failure to record
+  // the event is logged and never fails the operation that caused it
+  const publishSafely = (type, data, db) =>
+    publish(type, data, db).catch(error => logger.error(`Error publishing webhook event ${type}:`, error));
+
+  const attempt = async (delivery) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify(delivery.payload);
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await axios.post(delivery.url, body, {
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': `${service}-webhooks`,
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Signature': `t=${timestamp},v1=${sign(delivery.secret, timestamp, body)}`
+        }
+      });
+      responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        error = `Receiver answered HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    let status = 'succeeded';
+    if (error) {
+      status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    }
+
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = $2, attempts = $3, last_attempt_at = CURRENT_TIMESTAMP, last_response_status = $4, last_error = $5,
+           next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $6), delivered_at = CASE WHEN $2::varchar = 'succeeded' THEN CURRENT_TIMESTAMP END
+       WHERE id = $1`,
+      [
+        delivery.id, status, attempts, responseStatus, error,
+        status === 'pending' ? backoffMs(attempts) / 1000 : null
+      ]
+    );
+
+    deliveriesAttempted.inc({ result: error ? 'failure' : 'success' });
+    if (error) {
+      logger.warn(`Webhook delivery ${delivery.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${error}`, {
+        eventType: delivery.event_type,
+        willRetry: status === 'pending'
+      });
+    }
+  };
+
+  // Claims due deliveries of active subscriptions by pushing their next
+  // attempt past the request timeout, so a second replica polling at the same
+  // time skips them
+  const claimDue = async () => {
+    const result = await pool.query(
+      `UPDATE webhook_deliveries d
+       SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $3)
+       FROM webhook_subscriptions s
+       WHERE d.subscription_id = s.id AND d.id IN (
+         SELECT d2.id FROM webhook_deliveries d2
+         JOIN webhook_subscriptions s2 ON s2.id = d2.subscription_id
+         WHERE s2.service = $1 AND s2.active AND d2.status = 'pending' AND d2.next_attempt_at <= CURRENT_TIMESTAMP
+         ORDER BY d2.next_attempt_at
+         LIMIT $2
+         FOR UPDATE OF d2 SKIP LOCKED
+       )
+       RETURNING d.*, s.url, s.secret`,
+      [service, BATCH_SIZE, Math.ceil(TIMEOUT_MS / 1000) * 2]
+    );
+    return result.rows;
+  };
+
+  let dispatching = false;
+
+  const dispatch = async () => {
+    if (dispatching) {
+      return;
+    }
+    dispatching = true;
+    try {
+      let due = await claimDue();
+      while (due.length > 0) {
+        await Promise.all(due.map(attempt));
+        due = await claimDue();
+      }
+    } catch (error) {
+      logger.error('Webhook dispatch failed:', error);
+    } finally {
+      dispatching = false;
+    }
+  };
+
+  const start = () => {
+    setInterval(dispatch, POLL_INTERVAL_MS).unref();
+  };
+
+  // GET/POST /subscriptions, GET/PATCH/DELETE /subscriptions/:id,
+  // POST /subscriptions/:id/test, GET /deliveries, GET /deliveries/:id and
+  // POST /deliveries/:id/redeliver. Callers pass the middleware that
+  // restricts access to admins.
+  const adminRouter = (...authorize) => {
+    const router = express.Router();
+
+    router.use(...authorize, express.json());
+
+    const handle = (description, handler) => async (req, res) => {
+      try {
+        await handler(req, res);
+      } catch (error) {
+        logger.error(`Error ${description}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    };
+
+    router.get('/event-types', (req, res) => {
+      res.json({ service, event_types: eventTypes });
+    });
+
+    router.get('/subscriptions', handle('listing webhook subscriptions', async (req, res) => {
+      const result = await pool.query(
+        'SELECT * FROM webhook_subscriptions WHERE service = $1 ORDER BY id',
+        [service]
+      );
+      res.json(result.rows.map(subscriptionView));
+    }));
+
+    router.post('/subscriptions', validate(schemas.create), handle('creating webhook subscription', async (req, res) => {
+      const { url, event_types, description, active } = req.body;
+      const result = await pool.query(
+        `INSERT INTO webhook_subscriptions (service, url, event_types, secret, description, active)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [service, url, event_types, newSecret(), description || null, active !== false]
+      );
+      logger.info(`Webhook subscription ${result.rows[0].id} created for ${url}`, { eventTypes: event_types });
+      // The only time the secret is shown
+      res.status(201).json(result.rows[0]);
+    }));
+
+    router.get('/subscriptions/:id', validate(schemas.byId), handle('fetching webhook subscription', async (req, res) => {
+      const result = await pool.query(
+        'SELECT * FROM webhook_subscriptions WHERE id = $1 AND service = $2',
+        [req.params.id, service]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+      res.json(subscriptionView(result.rows[0]));
+    }));
+
+    // Deactivating fails the subscription's pending deliveries in the same
+    // statement; they can be redelivered once it is active again
+    router.patch('/subscriptions/:id', validate(schemas.update), handle('updating webhook subscription', async (req, res) => {
+      const { url, event_types, description, active } = req.body;
+      const result = await pool.query(
+        `WITH updated AS (
+           UPDATE webhook_subscriptions
+           SET url = COALESCE($3, url), event_types = COALESCE($4, event_types),
+               description = COALESCE($5, description), active = COALESCE($6, active), updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND service = $2 RETURNING *
+         ), cancelled AS (
+           UPDATE webhook_deliveries
+           SET status = 'failed', next_attempt_at = NULL, last_error = 'Subscription deactivated'
+           WHERE status = 'pending' AND subscription_id IN (SELECT id FROM updated WHERE NOT active)
+         )
+         SELECT * FROM updated`,
+        [req.params.id, service, url, event_types, description, active]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+      res.json(subscriptionView(result.rows[0]));
+    }));
+
+    router.delete('/subscriptions/:id', validate(schemas.byId), handle('deleting webhook subscription', async (req, res) => {
+      const result = await pool.query(
+        'DELETE FROM webhook_subscriptions WHERE id = $1 AND service = $2',
+        [req.params.id, service]
+      );
+      if (result.rowCount === 0) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+      logger.info(`Webhook subscription ${req.params.id} deleted`);
+      res.status(204).send();
+    }));
+
+    // Sends a webhook.test event to this subscription only
+    router.post('/subscriptions/:id/test', validate(schemas.byId), handle('sending test webhook', async (req, res) => {
+      const event = {
+        id: crypto.randomUUID(),
+        type: 'webhook.test',
+        service,
+        created_at: new Date().toISOString(),
+        data: { subscription_id: req.params.id }
+      };
+      const result = await pool.query(
+        `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, next_attempt_at)
+         SELECT id, $3, $4, $5, CURRENT_TIMESTAMP FROM webhook_subscriptions WHERE id = $1 AND service = $2
+         RETURNING *`,
+        [req.params.id, service, event.id, event.type, JSON.stringify(event)]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+      res.status(202).json(result.rows[0]);
+    }));
+
+    router.get('/deliveries', validate(schemas.listDeliveries), handle('listing webhook deliveries', async (req, res) => {
+      const { subscription_id, status, event_type, limit } = req.query;
+      const result = await pool.query(
+        `SELECT d.* FROM webhook_deliveries d
+         JOIN webhook_subscriptions s ON s.id = d.subscription_id
+         WHERE s.service = $1
+           AND ($2::int IS NULL OR d.subscription_id = $2)
+           AND ($3::text IS NULL OR d.status = $3)
+           AND ($4::text IS NULL OR d.event_type = $4)
+         ORDER BY d.created_at DESC, d.id DESC
+         LIMIT $5`,
+        [service, subscription_id ?? null, status ?? null, event_type ?? null, limit]
+      );
+      res.json(result.rows);
+    }));
+
+    router.get('/deliveries/:id', validate(schemas.byId), handle('fetching webhook delivery', async (req, res) => {
+      const result = await pool.query(
+        `SELECT d.* FROM webhook_deliveries d
+         JOIN webhook_subscriptions s ON s.id = d.subscription_id
+         WHERE d.id = $1 AND s.service = $2`,
+        [req.params.id, service]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+      res.json(result.rows[0]);
+    }));
+
+    // Queues the delivery again with a fresh set of retries, whatever its
+    // current status. The payload (and event id) are unchanged, so receivers
+    // can recognise a redelivery.
+    router.post('/deliveries/:id/redeliver', validate(schemas.byId), handle('redelivering webhook', async (req, res) => {
+      const result = await pool.query(
+        `UPDATE webhook_deliveries d
+         SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, delivered_at = NULL
+         FROM webhook_subscriptions s
+         WHERE d.subscription_id = s.id AND d.id = $1 AND s.service = $2
+         RETURNING d.*`,
+        [req.params.id, service]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+      logger.info(`Webhook delivery ${req.params.id} queued for redelivery`);
+      res.status(202).json(result.rows[0]);
+    }));
+
+    return router;
+  };
+
+  return {
+    publish,
+    publishSafely,
+    adminRouter,
+    start
+  };
+};
+
+module.exports = {
+  createWebhooks
+};
@@ -0,0 +1,52 @@
+const { getRequestContext } = require('./requestContext');
+
+// The api-gateway validates the JWT and forwards the verified user id in the
+// X-User-Id header. Requests that did not come through an authenticated
+// gateway route have no user and are rejected.
+const requireUser = (req, res, next) => {
+  const userId = parseInt(req.headers['x-user-id'], 10);
+
+  if (!Number.isInteger(userId) || userId <= 0) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.userId = userId;
+  getRequestContext().userId = userId;
+  next();
+};
+
+// Must run after requireUser. The role comes from the X-User-Role header set
+// by the gateway alongside the user id.
+const requireRole = (...roles) => (req, res, next) => {
+  const role = req.headers['x-user-role'] || 'customer';
+
+  if (!roles.includes(role)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      code: 'FORBIDDEN',
+      message: `This operation requires one of the roles: ${roles.join(', ')}`,
+      required_roles: roles
+    });
+  }
+
+  req.userRole = role;
+  next();
+};
+
+// For internal endpoints, which services call on behalf of a user. That user
+// comes in X-Requested-By and is only recorded: with no X-User-Id, idempotency
+// keys are shared by every caller, so a retry by another user replays the
+// original response.
+const requestedBy = (req, res, next) => {
+  const userId = parseInt(req.headers['x-requested-by'], 10);
+
+  req.requestedBy = Number.isInteger(userId) && userId > 0 ? userId : null;
+  getRequestContext().userId = req.requestedBy;
+  next();
+};
+
+module.exports = {
+  requireUser,
+  requireRole,
+  requestedBy
+};
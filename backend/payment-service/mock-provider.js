@@ -0,0 +1,214 @@
+// Local mock of the Stripe API subset used by providers/stripe.js, so the
+// HTTP provider can run without network access or a Stripe account.
+// State is kept in memory and lost on restart.
+//
+//   node mock-provider.js   (listens on MOCK_PROVIDER_PORT, default 12111)
+const express = require('express');
+const crypto = require('crypto');
+const morgan = require('morgan');
+
+const app = express();
+const PORT = process.env.MOCK_PROVIDER_PORT || 12111;
+const SLOW_RESPONSE_MS = parseInt(process.env.MOCK_PROVIDER_SLOW_MS || '30000', 10);
+
+// Test payment methods and the card error each one produces (null = approved)
+const PAYMENT_METHODS = {
+  pm_card_visa: null,
+  pm_card_mastercard: null,
+  pm_card_visa_chargeDeclined: { code: 'card_declined', decline_code: 'generic_decline', message: 'Your card was declined.' },
+  pm_card_visa_chargeDeclinedInsufficientFunds: { code: 'card_declined', decline_code: 'insufficient_funds', message: 'Your card has insufficient funds.' },
+  pm_card_radarBlock: { code: 'card_declined', decline_code: 'fraudulent', message: 'Your card was declined.' },
+  pm_card_mock_timeout: null
+};
+
+const paymentIntents = new Map();
+const refunds = new Map();
+// Responses to POST requests by Idempotency-Key; null while the first request
+// with the key is still in progress
+const idempotentResponses = new Map();
+
+app.use(morgan('dev'));
+app.use(express.urlencoded({ extended: true }));
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const stripeError = (res, status, error) => res.status(status).json({ error });
+
+const invalidRequest = (res, message, param) =>
+  stripeError(res, 400, { type: 'invalid_request_error', message, param });
+
+const notFound = (res, id) =>
+  stripeError(res, 404, { type: 'invalid_request_error', code: 'resource_missing', message: `No such object: '${id}'` });
+
+app.use('/v1', (req, res, next) => {
+  const auth = req.get('Authorization') || '';
+  if (!/^Bearer sk_test_/.test(auth)) {
+    return stripeError(res, 401, { type: 'invalid_request_error', message: 'Invalid API Key provided' });
+  }
+  next();
+});
+
+// A request repeated with the same Idempotency-Key gets the original response
+app.post('/v1/*', (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+  if (idempotentResponses.has(key)) {
+    const saved = idempotentResponses.get(key);
+    if (!saved) {
+      return stripeError(res, 409, { type: 'idempotency_error', message: 'There is currently another in-progress request using this Idempotency-Key.' });
+    }
+    return res.status(saved.status).json(saved.body);
+  }
+
+  idempotentResponses.set(key, null);
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    idempotentResponses.set(key, { status: res.statusCode, body });
+    return json(body);
+  };
+  next();
+});
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'healthy', service: 'mock-payment-provider' });
+});
+
+app.post('/v1/payment_intents', async (req, res) => {
+  const amount = parseInt(req.body.amount, 10);
+  const paymentMethod = req.body.payment_method || 'pm_card_visa';
+
+  if (!Number.isInteger(amount) || amount < 1) {
+    return invalidRequest(res, 'Invalid positive integer', 'amount');
+  }
+  if (!(paymentMethod in PAYMENT_METHODS)) {
+    return invalidRequest(res, `No such PaymentMethod: '${paymentMethod}'`, 'payment_method');
+  }
+
+  const intent = {
+    id: newId('pi'),
+    object: 'payment_intent',
+    amount,
+    amount_received: 0,
+    amount_refunded: 0,
+    currency: req.body.currency || 'usd',
+    capture_method: req.body.capture_method || 'automatic',
+    payment_method: paymentMethod,
+    metadata: req.body.metadata || {},
+    created: Math.floor(Date.now() / 1000),
+    status: 'requires_confirmation'
+  };
+  paymentIntents.set(intent.id, intent);
+
+  const cardError = PAYMENT_METHODS[paymentMethod];
+  if (cardError) {
+    intent.status = 'requires_payment_method';
+    return stripeError(res, 402, { type: 'card_error', ...cardError, payment_intent: intent });
+  }
+
+  if (req.body.confirm === 'true') {
+    if (intent.capture_method === 'manual') {
+      intent.status = 'requires_capture';
+    } else {
+      intent.status = 'succeeded';
+      intent.amount_received = amount;
+    }
+  }
+
+  // The intent is confirmed either way; only the response is late
+  if (paymentMethod === 'pm_card_mock_timeout') {
+    await new Promise(resolve => setTimeout(resolve, SLOW_RESPONSE_MS));
+  }
+
+  res.json(intent);
+});
+
+// Supports queries of metadata['key']:'value' clauses joined by AND
+app.get('/v1/payment_intents/search', (req, res) => {
+  const clauses = [...String(req.query.query || '').matchAll(/metadata\['([^']+)'\]:'([^']*)'/g)];
+  const data = [...paymentIntents.values()]
+    .filter(intent => clauses.every(([, key, value]) => String(intent.metadata[key]) === value));
+  res.json({ object: 'search_result', data, has_more: false });
+});
+
+app.get('/v1/payment_intents/:id', (req, res) => {
+  const intent = paymentIntents.get(req.params.id);
+  if (!intent) {
+    return notFound(res, req.params.id);
+  }
+  res.json(intent);
+});
+
+app.post('/v1/payment_intents/:id/capture', (req, res) => {
+  const intent = paymentIntents.get(req.params.id);
+  if (!intent) {
+    return notFound(res, req.params.id);
+  }
+  if (intent.status !== 'requires_capture') {
+    return invalidRequest(res, `This PaymentIntent could not be captured because it has a status of ${intent.status}.`);
+  }
+
+  const amountToCapture = req.body.amount_to_capture ? parseInt(req.body.amount_to_capture, 10) : intent.amount;
+  if (!Number.isInteger(amountToCapture) || amountToCapture < 1 || amountToCapture > intent.amount) {
+    return invalidRequest(res, 'amount_to_capture must be between 1 and the authorized amount', 'amount_to_capture');
+  }
+
+  intent.status = 'succeeded';
+  intent.amount_received = amountToCapture;
+  res.json(intent);
+});
+
+app.post('/v1/payment_intents/:id/cancel', (req, res) => {
+  const intent = paymentIntents.get(req.params.id);
+  if (!intent) {
+    return notFound(res, req.params.id);
+  }
+  if (intent.status === 'succeeded' || intent.status === 'canceled') {
+    return invalidRequest(res, `This PaymentIntent could not be canceled because it has a status of ${intent.status}.`);
+  }
+
+  intent.status = 'canceled';
+  res.json(intent);
+});
+
+app.post('/v1/refunds', (req, res) => {
+  const intent = paymentIntents.get(req.body.payment_intent);
+  if (!intent) {
+    return notFound(res, req.body.payment_intent);
+  }
+  if (intent.status !== 'succeeded') {
+    return invalidRequest(res, 'This PaymentIntent has not been captured.', 'payment_intent');
+  }
+
+  const refundable = intent.amount_received - intent.amount_refunded;
+  const amount = req.body.amount ? parseInt(req.body.amount, 10) : refundable;
+  if (!Number.isInteger(amount) || amount < 1 || amount > refundable) {
+    return invalidRequest(res, `Refund amount must be between 1 and ${refundable}`, 'amount');
+  }
+
+  intent.amount_refunded += amount;
+  const refund = {
+    id: newId('re'),
+    object: 'refund',
+    amount,
+    currency: intent.currency,
+    payment_intent: intent.id,
+    status: 'succeeded',
+    created: Math.floor(Date.now() / 1000)
+  };
+  refunds.set(refund.id, refund);
+  res.json(refund);
+});
+
+app.get('/v1/refunds/:id', (req, res) => {
+  const refund = refunds.get(req.params.id);
+  if (!refund) {
+    return notFound(res, req.params.id);
+  }
+  res.json(refund);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock payment provider running on port ${PORT}`);
+});
@@ -0,0 +1,545 @@
+const axios = require('axios');
+const { counter } = require('./metrics');
+const { withRefundStatus, planRefund } = require('./refunds');
+
+// Payments through the provider: authorized at checkout, then captured when
+// the order ships, or voided, refunded or expired. Providers take seconds to
+// answer, so no database connection or lock is held while they work. Each
+// operation claims the payment in one short statement, calls the provider,
+// and records the outcome in a second short transaction:
+//
+//   authorize               inserts the payment as pending. The unique index
+//                           on an order's active payments turns a second
+//                           attempt away until the first one failed.
+//   capture, void, refund   set pending_operation on the payment. Other
+//                           operations on it are refused with PAYMENT_BUSY
+//                           until the outcome is recorded.
+//
+// A claim left behind by a process that died while the provider worked is
+// given up after OPERATION_TIMEOUT_SECONDS. Must be well above the provider
+// timeouts (STRIPE_TIMEOUT_MS), or a claim would be given up under a call
+// still waiting for its answer.
+const OPERATION_TIMEOUT_SECONDS = parseInt(process.env.PAYMENT_OPERATION_TIMEOUT_SECONDS, 10) || 120;
+
+// Authorizations not captured within this time expire (7 days, like card
+// networks' usual hold period)
+const AUTHORIZATION_TTL_SECONDS = parseInt(process.env.AUTHORIZATION_TTL_SECONDS, 10) || 7 * 24 * 60 * 60;
+const AUTHORIZATION_SWEEP_INTERVAL_MS = parseInt(process.env.AUTHORIZATION_SWEEP_INTERVAL_MS, 10) || 60000;
+
+const paymentsProcessed = counter('payments_processed_total', 'Payment authorizations, by result', ['provider', 'status', 'payment_method', 'decline_code']);
+const paymentOperations = counter('payment_operations_total', 'Captures, voids, expiries and refunds of payments', ['operation', 'result']);
+
+const paymentError = (status, message, code, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+const invalidState = (payment, operation) =>
+  paymentError(409, `Cannot ${operation} a payment that is ${payment.status}`, 'INVALID_PAYMENT_STATE', { status: payment.status });
+
+// Roles that may look at any customer's payments
+const STAFF_ROLES = ['admin', 'support'];
+
+const isExpired = (payment) =>
+  payment.authorization_expires_at && new Date(payment.authorization_expires_at) <= new Date();
+
+// createPayments({ pool, logger, webhooks, events, provider, getProvider,
+// orderServiceUrl }) sets up payments for payment-service. provider takes new
+// payments; getProvider(name) gives the one an existing payment was taken
+// with. start() runs the sweep for expired authorizations.
+const createPayments = ({ pool, logger, webhooks, events, provider, getProvider, orderServiceUrl }) => {
+  const inTransaction = async (fn) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  const providerOf = (payment) => getProvider(payment.provider || 'simulator');
+
+  // Authorizes a payment for the order. The funds are only held; they are
+  // taken by a later capture (when the order ships) or released by a void.
+  // A declined payment is recorded as failed and resolves like an authorized
+  // one. When the provider does not answer in time, the payment stays pending
+  // until the sweep reconciles it, see failAbandonedAuthorizations. Rejects
+  // with PAYMENT_EXISTS while the order has another payment being authorized,
+  // authorized or captured.
+  const authorize = async ({ orderId, amount, paymentMethod = 'credit_card', cardNumber }) => {
+    // Only the last four digits of a card are ever stored or logged
+    const cardLast4 = cardNumber ? cardNumber.slice(-4) : null;
+
+    let claimed;
+    try {
+      claimed = (await pool.query(
+        `INSERT INTO payments (order_id, amount, payment_method, status, provider, card_last4, attempt)
+         VALUES ($1, $2, $3, 'pending', $4, $5, (SELECT COUNT(*) FROM payments WHERE order_id = $1)) RETURNING *`,
+        [orderId, amount, paymentMethod, provider.name, cardLast4]
+      )).rows[0];
+    } catch (error) {
+      if (error.code !== '23505') {
+        throw error;
+      }
+      const existing = await pool.query(
+        `SELECT transaction_id, status FROM payments
+         WHERE order_id = $1 AND status IN ('pending', 'authorized', 'captured')`,
+        [orderId]
+      );
+      throw paymentError(409, 'Order already has an active payment', 'PAYMENT_EXISTS', {
+        transaction_id: existing.rows[0]?.transaction_id || null,
+        status: existing.rows[0]?.status || 'pending'
+      });
+    }
+
+    let authorization;
+    try {
+      authorization = await provider.authorize({ orderId, attempt: claimed.attempt, amount, paymentMethod, cardNumber });
+    } catch (error) {
+      // The provider could not be reached, so nothing was authorized and the
+      // order may be paid for again
+      await pool.query("DELETE FROM payments WHERE id = $1 AND status = 'pending'", [claimed.id]);
+      throw error;
+    }
+
+    if (authorization.status === 'unknown') {
+      logger.warn(`Authorization for order ${orderId} timed out, left pending`, { paymentId: claimed.id });
+      paymentsProcessed.inc({ provider: provider.name, status: 'pending', payment_method: paymentMethod, decline_code: 'none' });
+      return {
+        payment_id: claimed.id,
+        transaction_id: null,
+        status: 'pending',
+        provider: provider.name,
+        decline_code: null,
+        decline_message: null,
+        amount,
+        payment_method: paymentMethod,
+        card_last4: cardLast4,
+        processed_at: null,
+        authorization_expires_at: null
+      };
+    }
+
+    const processedAt = new Date();
+    const status = authorization.status === 'authorized' ? 'authorized' : 'failed';
+    const expiresAt = status === 'authorized'
+      ? new Date(processedAt.getTime() + AUTHORIZATION_TTL_SECONDS * 1000)
+      : null;
+
+    const payment = await inTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE payments
+         SET status = $2, transaction_id = $3, decline_code = $4, processed_at = $5, authorization_expires_at = $6,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'pending' AND pending_operation IS NULL RETURNING *`,
+        [claimed.id, status, authorization.reference, authorization.decline_code || null, processedAt, expiresAt]
+      );
+      const recorded = result.rows[0];
+      if (!recorded) {
+        return null;
+      }
+      await webhooks.publish(`payment.${status}`, recorded, client);
+      await events.record(client, status === 'authorized' ? 'PaymentSucceeded' : 'PaymentFailed', {
+        aggregateType: 'payment',
+        aggregateId: recorded.id,
+        data: recorded
+      });
+      return recorded;
+    });
+
+    // The claim was given up as abandoned while the provider worked, and the
+    // order was told the payment failed. The hold must not outlive that.
+    if (!payment) {
+      if (status === 'authorized') {
+        await provider.void({ reference: authorization.reference }).catch(error =>
+          logger.error(`Could not release abandoned authorization ${authorization.reference}:`, error));
+      }
+      throw new Error(`Payment ${claimed.id} for order ${orderId} was given up while the provider authorized it`);
+    }
+
+    paymentsProcessed.inc({ provider: provider.name, status, payment_method: paymentMethod, decline_code: payment.decline_code || 'none' });
+    logger.info(`Payment processed for order ${orderId}: ${status}`, { declineCode: payment.decline_code });
+
+    return {
+      payment_id: payment.id,
+      transaction_id: payment.transaction_id,
+      status,
+      provider: provider.name,
+      decline_code: payment.decline_code,
+      decline_message: authorization.decline_message || null,
+      amount,
+      payment_method: paymentMethod,
+      card_last4: cardLast4,
+      processed_at: processedAt.toISOString(),
+      authorization_expires_at: expiresAt && expiresAt.toISOString()
+    };
+  };
+
+  // Runs fn(payment) with the payment claimed for operation. fn clears the
+  // claim with the update recording its outcome, or resolves with null when
+  // it left the payment as it was; either way the claim is gone afterwards.
+  // Resolves with the payment as fn left it.
+  const withClaim = async (transactionId, operation, fn) => {
+    const claimed = await pool.query(
+      `UPDATE payments SET pending_operation = $2, operation_started_at = CURRENT_TIMESTAMP
+       WHERE transaction_id = $1
+         AND (pending_operation IS NULL OR operation_started_at < CURRENT_TIMESTAMP - make_interval(secs => $3))
+       RETURNING *`,
+      [transactionId, operation, OPERATION_TIMEOUT_SECONDS]
+    );
+    const payment = claimed.rows[0];
+    if (!payment) {
+      const existing = await pool.query('SELECT pending_operation FROM payments WHERE transaction_id = $1', [transactionId]);
+      if (existing.rows.length === 0) {
+        throw paymentError(404, 'Payment not found', 'PAYMENT_NOT_FOUND');
+      }
+      throw paymentError(409, 'Another operation on this payment is in progress, try again', 'PAYMENT_BUSY', {
+        pending_operation: existing.rows[0].pending_operation
+      });
+    }
+
+    let outcome;
+    try {
+      outcome = await fn(payment);
+    } finally {
+      await pool.query(
+        'UPDATE payments SET pending_operation = NULL, operation_started_at = NULL WHERE id = $1 AND pending_operation = $2',
+        [payment.id, operation]
+      ).catch(error => logger.error(`Could not clear the ${operation} claim on payment ${payment.id}:`, error));
+    }
+
+    return outcome || (await pool.query('SELECT * FROM payments WHERE id = $1', [payment.id])).rows[0];
+  };
+
+  // Sets the columns of an operation's outcome and clears its claim
+  const recordOutcome = (db, paymentId, assignments, params = []) => db.query(
+    `UPDATE payments SET ${assignments}, pending_operation = NULL, operation_started_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 RETURNING *`,
+    [paymentId, ...params]
+  );
+
+  // Capture takes the authorized funds. Capturing an already captured payment
+  // returns it unchanged, so order-service can safely retry. A failed capture
+  // leaves the authorization open so it can be retried.
+  const capture = (transactionId) => withClaim(transactionId, 'capture', async (payment) => {
+    if (payment.status === 'captured') {
+      return null;
+    }
+    // Past its expiry but not yet swept: the sweep marks it expired and
+    // notifies order-service
+    if (payment.status === 'authorized' && isExpired(payment)) {
+      paymentOperations.inc({ operation: 'capture', result: 'expired' });
+      throw paymentError(409, 'The authorization has expired', 'AUTHORIZATION_EXPIRED', { status: 'expired' });
+    }
+    if (payment.status !== 'authorized') {
+      throw invalidState(payment, 'capture');
+    }
+
+    const result = await providerOf(payment).capture({ reference: payment.transaction_id, amount: payment.amount });
+    if (result.status !== 'captured') {
+      paymentOperations.inc({ operation: 'capture', result: 'failed' });
+      logger.warn(`Capture failed for transaction ${transactionId}`, { declineCode: result.decline_code });
+      throw paymentError(402, 'Payment capture failed', 'CAPTURE_FAILED', {
+        decline_code: result.decline_code,
+        decline_message: result.decline_message
+      });
+    }
+
+    const captured = await inTransaction(async (client) => {
+      const updated = await recordOutcome(client, payment.id, "status = 'captured', captured_at = CURRENT_TIMESTAMP");
+      await webhooks.publish('payment.captured', updated.rows[0], client);
+      return updated.rows[0];
+    });
+
+    paymentOperations.inc({ operation: 'capture', result: 'success' });
+    logger.info(`Payment captured for order ${payment.order_id}`, { transactionId });
+    return captured;
+  });
+
+  // Void releases the authorized funds without taking them. Voided and
+  // expired authorizations have nothing left to release and are returned
+  // unchanged.
+  const voidPayment = (transactionId) => withClaim(transactionId, 'void', async (payment) => {
+    if (payment.status === 'voided' || payment.status === 'expired') {
+      return null;
+    }
+    if (payment.status !== 'authorized') {
+      throw invalidState(payment, 'void');
+    }
+
+    try {
+      await providerOf(payment).void({ reference: payment.transaction_id });
+    } catch (error) {
+      paymentOperations.inc({ operation: 'void', result: 'failed' });
+      throw error;
+    }
+
+    const voided = await inTransaction(async (client) => {
+      const updated = await recordOutcome(client, payment.id, "status = 'voided', voided_at = CURRENT_TIMESTAMP");
+      await webhooks.publish('payment.voided', updated.rows[0], client);
+      return updated.rows[0];
+    });
+
+    paymentOperations.inc({ operation: 'void', result: 'success' });
+    logger.info(`Payment voided for order ${payment.order_id}`, { transactionId });
+    return voided;
+  });
+
+  // Refunds are recorded against the captured payment and may be partial, but
+  // together they never exceed the captured amount; the claim keeps two
+  // refunds from both passing that check. Once they cover it the payment (and
+  // order) become refunded. amount undefined refunds all that is left.
+  // Resolves with the refund and the payment; a failed refund is recorded and
+  // rejects with REFUND_FAILED.
+  const refund = async (transactionId, { amount, reason, requestedBy }) => {
+    let refunded;
+
+    await withClaim(transactionId, 'refund', async (payment) => {
+      if (payment.status === 'refunded') {
+        throw paymentError(409, 'Payment has already been fully refunded', 'ALREADY_REFUNDED');
+      }
+      if (payment.status !== 'captured') {
+        throw paymentError(400, 'Can only refund captured payments');
+      }
+
+      const plan = planRefund(payment, amount);
+      if (plan.exceeds) {
+        throw paymentError(400, 'Refund amount exceeds the refundable amount', 'REFUND_EXCEEDS_REFUNDABLE', {
+          refundable_amount: plan.refundable_amount
+        });
+      }
+
+      // Refunds go through the provider that took the payment
+      const result = await providerOf(payment).refund({ reference: payment.transaction_id, amount: plan.amount });
+
+      refunded = await inTransaction(async (client) => {
+        const inserted = await client.query(
+          `INSERT INTO refunds (payment_id, order_id, amount, reason, status, provider_reference, decline_code, requested_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+          [payment.id, payment.order_id, plan.amount, reason || null, result.status, result.reference, result.decline_code || null, requestedBy]
+        );
+        const refundRow = inserted.rows[0];
+
+        if (result.status !== 'succeeded') {
+          await webhooks.publish('refund.failed', refundRow, client);
+          return { refund: refundRow, payment: null };
+        }
+
+        const updated = await recordOutcome(
+          client,
+          payment.id,
+          'amount_refunded = amount_refunded + $2, status = $3',
+          [plan.amount, plan.fully_refunded ? 'refunded' : 'captured']
+        );
+        await webhooks.publish('refund.succeeded', { ...refundRow, payment: updated.rows[0] }, client);
+        // The order tracks the refunded amount and becomes refunded with the
+        // payment. Recorded with the refund, so order-service hears of every one.
+        await events.record(client, 'PaymentRefunded', {
+          aggregateType: 'payment',
+          aggregateId: payment.id,
+          data: {
+            order_id: payment.order_id,
+            refund_id: refundRow.id,
+            amount: refundRow.amount,
+            amount_refunded: updated.rows[0].amount_refunded,
+            fully_refunded: plan.fully_refunded
+          }
+        });
+        return { refund: refundRow, payment: updated.rows[0] };
+      });
+
+      if (!refunded.payment) {
+        paymentOperations.inc({ operation: 'refund', result: 'failed' });
+        logger.warn(`Refund failed for transaction ${transactionId}`, { declineCode: result.decline_code });
+        throw paymentError(402, 'Refund failed', 'REFUND_FAILED', {
+          decline_code: result.decline_code,
+          decline_message: result.decline_message,
+          refund: refunded.refund
+        });
+      }
+
+      paymentOperations.inc({ operation: 'refund', result: 'success' });
+      logger.info(`Refund of ${plan.amount} processed for transaction ${transactionId}`, { fullyRefunded: plan.fully_refunded });
+      return refunded.payment;
+    });
+
+    return { ...refunded.refund, payment: withRefundStatus(refunded.payment) };
+  };
+
+  // Payments with their refund status and refunds, newest refund first
+  const withRefunds = async (payments) => {
+    if (payments.length === 0) {
+      return [];
+    }
+    const refunds = await pool.query(
+      'SELECT * FROM refunds WHERE payment_id = ANY($1) ORDER BY created_at DESC, id DESC',
+      [payments.map(payment => payment.id)]
+    );
+    return payments.map(payment => ({
+      ...withRefundStatus(payment),
+      refunds: refunds.rows.filter(refund => refund.payment_id === payment.id)
+    }));
+  };
+
+  // viewer is the { userId, role } looking the payments up. Staff see every
+  // payment, customers only those of their own orders; internal callers pass
+  // no viewer.
+  const ownerOnly = (viewer) => (viewer && !STAFF_ROLES.includes(viewer.role) ? viewer.userId : null);
+
+  // An order's payment attempts, newest first. Other customers' orders are
+  // reported as not found.
+  const forOrder = async (orderId, viewer) => {
+    const owner = ownerOnly(viewer);
+    if (owner !== null) {
+      const order = await pool.query('SELECT id FROM orders WHERE id = $1 AND user_id = $2', [orderId, owner]);
+      if (order.rows.length === 0) {
+        throw paymentError(404, 'Order not found', 'ORDER_NOT_FOUND');
+      }
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM payments WHERE order_id = $1 ORDER BY created_at DESC',
+      [orderId]
+    );
+    return withRefunds(result.rows);
+  };
+
+  const findByTransaction = async (transactionId, viewer) => {
+    const result = await pool.query(
+      `SELECT p.* FROM payments p
+       JOIN orders o ON o.id = p.order_id
+       WHERE p.transaction_id = $1 AND ($2::int IS NULL OR o.user_id = $2)`,
+      [transactionId, ownerOnly(viewer)]
+    );
+    if (result.rows.length === 0) {
+      throw paymentError(404, 'Payment not found', 'PAYMENT_NOT_FOUND');
+    }
+    const [payment] = await withRefunds(result.rows);
+    return payment;
+  };
+
+  // Authorizations still pending after OPERATION_TIMEOUT_SECONDS timed out at
+  // the provider, or were left by a process that died while the provider
+  // worked. Each is claimed for 'reconcile', so a late answer to the original
+  // request is no longer recorded, and the provider releases any hold the
+  // attempt left. Then it is recorded as failed, which also ends the order's
+  // checkout. Attempts the provider cannot reconcile yet are tried again by
+  // the next sweep.
+  const failAbandonedAuthorizations = async () => {
+    const abandoned = await pool.query(
+      `UPDATE payments SET pending_operation = 'reconcile', operation_started_at = CURRENT_TIMESTAMP
+       WHERE status = 'pending' AND created_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+         AND (pending_operation IS NULL OR operation_started_at < CURRENT_TIMESTAMP - make_interval(secs => $1))
+       RETURNING *`,
+      [OPERATION_TIMEOUT_SECONDS]
+    );
+
+    const failed = [];
+    for (const claimed of abandoned.rows) {
+      try {
+        const { voided } = await providerOf(claimed).reconcile({ orderId: claimed.order_id, attempt: claimed.attempt });
+        if (voided.length > 0) {
+          logger.info(`Released holds of abandoned authorization for order ${claimed.order_id}`, { references: voided });
+        }
+      } catch (error) {
+        logger.error(`Could not reconcile authorization for order ${claimed.order_id}:`, error);
+        await pool.query('UPDATE payments SET pending_operation = NULL, operation_started_at = NULL WHERE id = $1', [claimed.id]);
+        continue;
+      }
+
+      const payment = await inTransaction(async (client) => {
+        const result = await client.query(
+          `UPDATE payments SET status = 'failed', decline_code = 'processing_error',
+             pending_operation = NULL, operation_started_at = NULL, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND status = 'pending' RETURNING *`,
+          [claimed.id]
+        );
+        const recorded = result.rows[0];
+        if (!recorded) {
+          return null;
+        }
+        await webhooks.publish('payment.failed', recorded, client);
+        await events.record(client, 'PaymentFailed', { aggregateType: 'payment', aggregateId: recorded.id, data: recorded });
+        return recorded;
+      });
+      if (payment) {
+        logger.warn(`Authorization for order ${payment.order_id} abandoned, recorded as failed`, { paymentId: payment.id });
+        failed.push(payment);
+      }
+    }
+    return failed;
+  };
+
+  // Expires authorizations that were neither captured nor voided in time.
+  // The UPDATE claims the rows, so only one replica handles each; payments
+  // with an operation in progress are left to it. The provider hold is
+  // released and order-service cancels the order, which can no longer be
+  // paid for.
+  const expireAuthorizations = async () => {
+    const result = await pool.query(
+      `UPDATE payments SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'authorized' AND authorization_expires_at <= CURRENT_TIMESTAMP
+         AND (pending_operation IS NULL OR operation_started_at < CURRENT_TIMESTAMP - make_interval(secs => $1))
+       RETURNING *`,
+      [OPERATION_TIMEOUT_SECONDS]
+    );
+
+    for (const payment of result.rows) {
+      paymentOperations.inc({ operation: 'expire', result: 'success' });
+      logger.info(`Authorization expired for order ${payment.order_id}`, { transactionId: payment.transaction_id });
+      await webhooks.publishSafely('payment.expired', payment);
+
+      try {
+        await providerOf(payment).void({ reference: payment.transaction_id });
+      } catch (error) {
+        logger.warn(`Could not release expired authorization ${payment.transaction_id} at the provider:`, error);
+      }
+
+      try {
+        await axios.post(`${orderServiceUrl}/internal/orders/${payment.order_id}/payment-expired`, {
+          transaction_id: payment.transaction_id
+        });
+      } catch (error) {
+        logger.error(`Could not notify order-service of expired payment for order ${payment.order_id}:`, error);
+      }
+    }
+  };
+
+  const sweep = async () => {
+    try {
+      await failAbandonedAuthorizations();
+      await expireAuthorizations();
+    } catch (error) {
+      logger.error('Authorization sweep failed:', error);
+    }
+  };
+
+  const start = () => {
+    setInterval(sweep, AUTHORIZATION_SWEEP_INTERVAL_MS).unref();
+  };
+
+  return {
+    authorize,
+    capture,
+    void: voidPayment,
+    refund,
+    forOrder,
+    findByTransaction,
+    failAbandonedAuthorizations,
+    expireAuthorizations,
+    start
+  };
+};
+
+module.exports = {
+  createPayments
+};
@@ -0,0 +1,36 @@
+// Payment providers share one interface. Every operation resolves with a
+// result object; provider declines are results, not errors. Errors are only
+// thrown when the provider could not be reached or answered unexpectedly.
+//
+//   authorize({ orderId, attempt, amount, currency, paymentMethod, cardNumber })
+//     -> { reference, status: 'authorized' | 'declined' | 'unknown', decline_code, decline_message }
+//   capture({ reference, amount })  -> { status: 'captured' | 'failed', decline_code, decline_message }
+//   void({ reference })             -> { status: 'voided' }
+//   refund({ reference, amount })   -> { reference, status: 'succeeded' | 'failed', decline_code, decline_message }
+//   reconcile({ orderId, attempt }) -> { voided: [reference] }
+//
+// `reference` is the provider's id for the payment and is stored as the
+// payment's transaction_id. `attempt` counts the order's earlier payments;
+// repeating an authorization with the same order and attempt must not hold
+// the funds twice. 'unknown' means the provider did not answer in time and
+// may have authorized the payment regardless. reconcile gives such an attempt
+// up, releasing any hold it left.
+const simulator = require('./simulator');
+const stripe = require('./stripe');
+
+const PROVIDERS = { simulator, stripe };
+
+// PAYMENT_PROVIDER selects the provider for new payments. Existing payments
+// keep using the provider stored on their record.
+const getProvider = (name = process.env.PAYMENT_PROVIDER || 'simulator') => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return provider;
+};
+
+module.exports = {
+  PROVIDERS,
+  getProvider
+};
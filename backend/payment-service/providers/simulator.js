@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const { simulatePayment, settings } = require('../simulator');
+
+// Adapter for the built-in simulator. Only authorization can be declined;
+// capture, void and refund of a simulated payment always succeed after the
+// usual simulated latency.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const processingDelay = () => sleep(settings.minLatencyMs);
+
+const authorize = async ({ orderId, amount, paymentMethod, cardNumber }) => {
+  const result = await simulatePayment({ orderId, amount, paymentMethod, cardNumber });
+  return {
+    reference: result.transaction_id,
+    status: result.status === 'success' ? 'authorized' : 'declined',
+    decline_code: result.decline_code,
+    decline_message: result.decline_message
+  };
+};
+
+const capture = async () => {
+  await processingDelay();
+  return { status: 'captured', decline_code: null, decline_message: null };
+};
+
+const voidAuthorization = async () => {
+  await processingDelay();
+  return { status: 'voided' };
+};
+
+// The simulator always answers, so no attempt is left unknown
+const reconcile = async () => ({ voided: [] });
+
+const refund = async () => {
+  await processingDelay();
+  return {
+    reference: `re_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`,
+    status: 'succeeded',
+    decline_code: null,
+    decline_message: null
+  };
+};
+
+module.exports = {
+  name: 'simulator',
+  authorize,
+  capture,
+  void: voidAuthorization,
+  refund,
+  reconcile
+};
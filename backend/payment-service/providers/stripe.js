@@ -0,0 +1,150 @@
+const axios = require('axios');
+
+// Adapter for a Stripe-compatible API: payment intents with manual capture,
+// cancel for voids and /v1/refunds. Points at the local mock provider
+// (mock-provider.js) by default so it also runs offline.
+
+const settings = {
+  apiUrl: process.env.STRIPE_API_URL || 'http://localhost:12111',
+  apiKey: process.env.STRIPE_API_KEY || 'sk_test_mock',
+  currency: process.env.PAYMENT_CURRENCY || 'usd',
+  timeoutMs: parseInt(process.env.STRIPE_TIMEOUT_MS || '10000', 10)
+};
+
+const client = axios.create({
+  baseURL: settings.apiUrl,
+  timeout: settings.timeoutMs,
+  headers: {
+    Authorization: `Bearer ${settings.apiKey}`,
+    'Content-Type': 'application/x-www-form-urlencoded'
+  }
+});
+
+// Stripe never sees raw card numbers here; the simulator's test cards map to
+// Stripe's test payment methods. pm_card_mock_timeout only exists in the mock.
+const TEST_PAYMENT_METHODS = {
+  '4242424242424242': 'pm_card_visa',
+  '4000000000000002': 'pm_card_visa_chargeDeclined',
+  '4000000000009995': 'pm_card_visa_chargeDeclinedInsufficientFunds',
+  '4000000000000119': 'pm_card_mock_timeout',
+  '4100000000000019': 'pm_card_radarBlock'
+};
+
+// Stripe decline codes mapped onto the ones stored on payments
+const DECLINE_CODES = {
+  insufficient_funds: 'insufficient_funds',
+  fraudulent: 'fraud_suspected',
+  highest_risk_level: 'fraud_suspected',
+  processor_timeout: 'processor_timeout'
+};
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+const form = (fields) => {
+  const params = new URLSearchParams();
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      params.append(key, String(value));
+    }
+  });
+  return params;
+};
+
+// Turns a card error (HTTP 402) into a decline result; anything else is a
+// real failure and is rethrown
+const declineFrom = (error) => {
+  const stripeError = error.response?.data?.error;
+  if (error.response?.status !== 402 || !stripeError) {
+    throw error;
+  }
+  const code = stripeError.decline_code || stripeError.code;
+  return {
+    decline_code: DECLINE_CODES[code] || 'card_declined',
+    decline_message: stripeError.message || 'The card was declined'
+  };
+};
+
+const isTimeout = (error) => error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+
+// Stripe answers a repeated request with the same Idempotency-Key with the
+// original response instead of creating a second payment intent
+const attemptKey = (orderId, attempt) => `order-${orderId}-attempt-${attempt}`;
+
+// A timed out request may still have created and confirmed the intent, so
+// the outcome is unknown rather than a decline. payment-service keeps the
+// payment pending and later gives it up through reconcile.
+const authorize = async ({ orderId, attempt = 0, amount, cardNumber }) => {
+  try {
+    const { data } = await client.post('/v1/payment_intents', form({
+      amount: toCents(amount),
+      currency: settings.currency,
+      payment_method: TEST_PAYMENT_METHODS[cardNumber] || 'pm_card_visa',
+      capture_method: 'manual',
+      confirm: true,
+      'metadata[order_id]': orderId,
+      'metadata[attempt]': attempt
+    }), { headers: { 'Idempotency-Key': attemptKey(orderId, attempt) } });
+    return { reference: data.id, status: 'authorized', decline_code: null, decline_message: null };
+  } catch (error) {
+    if (isTimeout(error)) {
+      return {
+        reference: null,
+        status: 'unknown',
+        decline_code: 'processor_timeout',
+        decline_message: 'The payment processor did not respond in time'
+      };
+    }
+    return { reference: error.response?.data?.error?.payment_intent?.id || null, status: 'declined', ...declineFrom(error) };
+  }
+};
+
+const capture = async ({ reference, amount }) => {
+  try {
+    await client.post(`/v1/payment_intents/${reference}/capture`, form({
+      amount_to_capture: amount === undefined ? undefined : toCents(amount)
+    }));
+    return { status: 'captured', decline_code: null, decline_message: null };
+  } catch (error) {
+    return { status: 'failed', ...declineFrom(error) };
+  }
+};
+
+const voidAuthorization = async ({ reference }) => {
+  await client.post(`/v1/payment_intents/${reference}/cancel`);
+  return { status: 'voided' };
+};
+
+const refund = async ({ reference, amount }) => {
+  try {
+    const { data } = await client.post('/v1/refunds', form({
+      payment_intent: reference,
+      amount: amount === undefined ? undefined : toCents(amount)
+    }));
+    return { reference: data.id, status: data.status === 'succeeded' ? 'succeeded' : 'failed', decline_code: null, decline_message: null };
+  } catch (error) {
+    return { reference: null, status: 'failed', ...declineFrom(error) };
+  }
+};
+
+// Finds the intents of an attempt by their metadata and cancels those still
+// holding funds. Stripe's search index can lag behind by a few seconds, which
+// payment-service allows for by only reconciling long abandoned attempts.
+const reconcile = async ({ orderId, attempt = 0 }) => {
+  const { data } = await client.get('/v1/payment_intents/search', {
+    params: { query: `metadata['order_id']:'${orderId}' AND metadata['attempt']:'${attempt}'` }
+  });
+  const holds = data.data.filter(intent => intent.status === 'requires_capture');
+  for (const intent of holds) {
+    await voidAuthorization({ reference: intent.id });
+  }
+  return { voided: holds.map(intent => intent.id) };
+};
+
+module.exports = {
+  name: 'stripe',
+  authorize,
+  capture,
+  void: voidAuthorization,
+  refund,
+  reconcile
+};
@@ -0,0 +1,39 @@
+// Refund amounts. Refunds of a payment may be partial, but together they never
+// exceed the captured amount. Amounts are compared in cents; DECIMAL columns
+// arrive as strings.
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+// refund_status: none, partial or full
+const withRefundStatus = (payment) => {
+  const refunded = toCents(payment.amount_refunded);
+  let refundStatus = 'none';
+  if (refunded > 0) {
+    refundStatus = refunded >= toCents(payment.amount) ? 'full' : 'partial';
+  }
+  return {
+    ...payment,
+    refund_status: refundStatus,
+    refundable_amount: payment.status === 'captured' ? fromCents(toCents(payment.amount) - refunded) : '0.00'
+  };
+};
+
+// A refund of `amount` from a captured payment, or of all that is left when
+// amount is undefined. exceeds is set when more is asked for than is left;
+// fully_refunded when the refund takes all of it.
+const planRefund = (payment, amount) => {
+  const refundableCents = toCents(payment.amount) - toCents(payment.amount_refunded);
+  const amountCents = amount === undefined ? refundableCents : toCents(amount);
+
+  return {
+    amount: fromCents(amountCents),
+    refundable_amount: fromCents(refundableCents),
+    exceeds: amountCents > refundableCents,
+    fully_refunded: amountCents === refundableCents
+  };
+};
+
+module.exports = {
+  withRefundStatus,
+  planRefund
+};
@@ -0,0 +1,44 @@
+const { Joi, id } = require('./validation');
+
+// Amounts are rounded to cents; order-service sends computed totals that can
+// carry floating point noise
+const amount = Joi.number().positive().precision(2).max(99999999.99);
+
+// Spaces and dashes are allowed and stripped (4242 4242 4242 4242)
+const cardNumber = Joi.string().replace(/[\s-]/g, '').pattern(/^\d{12,19}$/)
+  .messages({ 'string.pattern.base': 'card_number must be 12 to 19 digits' });
+
+module.exports = {
+  createPayment: {
+    body: Joi.object({
+      order_id: id.required(),
+      amount: amount.required(),
+      payment_method: Joi.string().trim().max(50).default('credit_card'),
+      card_number: cardNumber
+    })
+  },
+
+  orderParams: {
+    params: Joi.object({ orderId: id.required() })
+  },
+
+  transactionParams: {
+    params: Joi.object({ transactionId: Joi.string().trim().max(100).required() })
+  },
+
+  // Without an amount, whatever is left of the payment is refunded
+  refund: {
+    params: Joi.object({ transactionId: Joi.string().trim().max(100).required() }),
+    body: Joi.object({
+      amount,
+      reason: Joi.string().trim().max(255)
+    })
+  },
+
+  stats: {
+    query: Joi.object({
+      start_date: Joi.date().iso(),
+      end_date: Joi.date().iso().min(Joi.ref('start_date'))
+    })
+  }
+};
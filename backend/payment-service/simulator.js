@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+// Simulated card processor. Outcomes are random with a configurable success
+// rate and latency, unless forced by a test card or (optionally) a magic
+// amount. With PAYMENT_SIMULATOR_SEED set, the outcome and latency of a
+// payment depend only on the seed and the payment itself (order, amount,
+// method, card), so repeated test runs get identical results.
+
+const settings = {
+  successRate: parseFloat(process.env.PAYMENT_SUCCESS_RATE || '0.9'),
+  minLatencyMs: parseInt(process.env.PAYMENT_LATENCY_MIN_MS || '1000', 10),
+  maxLatencyMs: parseInt(process.env.PAYMENT_LATENCY_MAX_MS || '3000', 10),
+  timeoutMs: parseInt(process.env.PAYMENT_TIMEOUT_MS || '10000', 10),
+  seed: process.env.PAYMENT_SIMULATOR_SEED || null,
+  magicAmounts: process.env.PAYMENT_MAGIC_AMOUNTS === 'true'
+};
+
+const DECLINES = {
+  card_declined: 'The card was declined',
+  insufficient_funds: 'The card has insufficient funds',
+  processor_timeout: 'The payment processor did not respond in time',
+  fraud_suspected: 'The payment was blocked as suspected fraud'
+};
+
+// Card numbers that always produce the same outcome (null = approved)
+const TEST_CARDS = {
+  '4242424242424242': null,
+  '4000000000000002': 'card_declined',
+  '4000000000009995': 'insufficient_funds',
+  '4000000000000119': 'processor_timeout',
+  '4100000000000019': 'fraud_suspected'
+};
+
+// With PAYMENT_MAGIC_AMOUNTS=true, the cents of the amount force an outcome
+// for clients that cannot send a card number (e.g. 10.02 is declined)
+const MAGIC_CENTS = {
+  2: 'card_declined',
+  5: 'insufficient_funds',
+  8: 'processor_timeout',
+  13: 'fraud_suspected'
+};
+
+// mulberry32: small, fast PRNG that is fully determined by its 32-bit seed
+const mulberry32 = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = seed;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const randomFor = (payment) => {
+  if (!settings.seed) {
+    return Math.random;
+  }
+  const key = [settings.seed, payment.orderId, payment.amount, payment.paymentMethod, payment.cardNumber || ''].join(':');
+  return mulberry32(crypto.createHash('sha256').update(key).digest().readUInt32BE(0));
+};
+
+const forcedDecline = ({ amount, cardNumber }) => {
+  if (cardNumber && cardNumber in TEST_CARDS) {
+    return { forced: true, declineCode: TEST_CARDS[cardNumber] };
+  }
+  if (settings.magicAmounts) {
+    const cents = Math.round(Number(amount) * 100) % 100;
+    if (cents in MAGIC_CENTS) {
+      return { forced: true, declineCode: MAGIC_CENTS[cents] };
+    }
+  }
+  return { forced: false };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs one simulated authorization and resolves with its result. Declines are
+// a normal result (status 'failed' with a decline_code), not an error.
+const simulatePayment = async ({ orderId, amount, paymentMethod = 'credit_card', cardNumber }) => {
+  const random = randomFor({ orderId, amount, paymentMethod, cardNumber });
+  const forced = forcedDecline({ amount, cardNumber });
+
+  const declineCode = forced.forced
+    ? forced.declineCode
+    : (random() < settings.successRate ? null : 'card_declined');
+
+  const latency = declineCode === 'processor_timeout'
+    ? settings.timeoutMs
+    : settings.minLatencyMs + Math.floor(random() * Math.max(0, settings.maxLatencyMs - settings.minLatencyMs));
+  await sleep(latency);
+
+  return {
+    transaction_id: `txn_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`,
+    status: declineCode ? 'failed' : 'success',
+    decline_code: declineCode,
+    decline_message: declineCode ? DECLINES[declineCode] : null,
+    amount,
+    payment_method: paymentMethod,
+    processed_at: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  settings,
+  DECLINES,
+  TEST_CARDS,
+  simulatePayment
+};
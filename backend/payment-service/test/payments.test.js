@@ -0,0 +1,381 @@
+const { createPayments } = require('../payments');
+const { createWebhooks } = require('../webhooks');
+const { createEventBus } = require('../events');
+const { createTestDatabase } = require('../../test/db');
+
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+let db;
+let provider;
+let payments;
+let order;
+
+// A provider call that answers when the test says so
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+// Connections the payments module has checked out of the pool
+const connectionsInUse = () => db.pool.totalCount - db.pool.idleCount;
+
+const paymentRows = async () => (await db.pool.query('SELECT * FROM payments ORDER BY id')).rows;
+
+const outboxTypes = async () =>
+  (await db.pool.query('SELECT event_type FROM outbox_events ORDER BY id')).rows.map(row => row.event_type);
+
+const authorized = { reference: 'txn_1', status: 'authorized', decline_code: null, decline_message: null };
+
+const authorize = (orderId = order.id) =>
+  payments.authorize({ orderId, amount: 20, paymentMethod: 'credit_card', cardNumber: '4242424242424242' });
+
+beforeAll(async () => {
+  db = await createTestDatabase();
+});
+
+beforeEach(async () => {
+  await db.reset();
+  const user = await db.insertUser();
+  order = await db.insertOrder({ userId: user.id });
+
+  provider = {
+    name: 'simulator',
+    authorize: jest.fn().mockResolvedValue(authorized),
+    capture: jest.fn().mockResolvedValue({ status: 'captured', decline_code: null, decline_message: null }),
+    void: jest.fn().mockResolvedValue({ status: 'voided' }),
+    refund: jest.fn().mockResolvedValue({ reference: 're_1', status: 'succeeded', decline_code: null, decline_message: null }),
+    reconcile: jest.fn().mockResolvedValue({ voided: [] })
+  };
+  payments = createPayments({
+    pool: db.pool,
+    logger,
+    webhooks: createWebhooks({ pool: db.pool, service: 'payment-service', eventTypes: ['*'], logger }),
+    events: createEventBus({ pool: db.pool, service: 'payment-service', logger }),
+    provider,
+    getProvider: () => provider,
+    orderServiceUrl: 'http://order-service'
+  });
+});
+
+afterAll(async () => {
+  await db.close();
+});
+
+describe('authorize', () => {
+  it('records the authorized payment and announces it', async () => {
+    const result = await authorize();
+
+    expect(result).toMatchObject({ transaction_id: 'txn_1', status: 'authorized', amount: 20, card_last4: '4242' });
+    expect(await paymentRows()).toEqual([expect.objectContaining({
+      order_id: order.id,
+      transaction_id: 'txn_1',
+      status: 'authorized',
+      card_last4: '4242',
+      authorization_expires_at: expect.any(Date)
+    })]);
+    expect(await outboxTypes()).toEqual(['PaymentSucceeded']);
+  });
+
+  it('records a declined payment as failed', async () => {
+    provider.authorize.mockResolvedValue({ reference: 'txn_2', status: 'declined', decline_code: 'insufficient_funds', decline_message: 'Insufficient funds' });
+
+    const result = await authorize();
+
+    expect(result).toMatchObject({ status: 'failed', decline_code: 'insufficient_funds', decline_message: 'Insufficient funds' });
+    expect((await paymentRows())[0]).toMatchObject({ status: 'failed', authorization_expires_at: null });
+    expect(await outboxTypes()).toEqual(['PaymentFailed']);
+  });
+
+  it('holds no database connection while the provider works', async () => {
+    const answer = deferred();
+    provider.authorize.mockReturnValue(answer.promise);
+
+    const pending = authorize();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(provider.authorize).toHaveBeenCalled();
+    expect(connectionsInUse()).toBe(0);
+    expect((await paymentRows())[0]).toMatchObject({ status: 'pending', transaction_id: null });
+
+    answer.resolve(authorized);
+    expect((await pending).status).toBe('authorized');
+  });
+
+  it('turns a second attempt away while the first is with the provider', async () => {
+    const answer = deferred();
+    provider.authorize.mockReturnValueOnce(answer.promise);
+
+    const first = authorize();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    await expect(authorize()).rejects.toMatchObject({ status: 409, code: 'PAYMENT_EXISTS', details: { status: 'pending' } });
+    answer.resolve(authorized);
+    await first;
+    await expect(authorize()).rejects.toMatchObject({ code: 'PAYMENT_EXISTS', details: { transaction_id: 'txn_1', status: 'authorized' } });
+    expect(provider.authorize).toHaveBeenCalledTimes(1);
+  });
+
+  it('lets a declined order be paid for again', async () => {
+    provider.authorize.mockResolvedValueOnce({ reference: 'txn_2', status: 'declined', decline_code: 'card_declined' });
+    await authorize();
+
+    const retried = await authorize();
+
+    expect(retried.status).toBe('authorized');
+    expect((await paymentRows()).map(payment => payment.status)).toEqual(['failed', 'authorized']);
+    // A new attempt, which the provider must not mistake for a repeat
+    expect(provider.authorize.mock.calls.map(([request]) => request.attempt)).toEqual([0, 1]);
+  });
+
+  it('keeps the payment pending when the provider does not answer in time', async () => {
+    provider.authorize.mockResolvedValueOnce({ reference: null, status: 'unknown', decline_code: 'processor_timeout' });
+
+    const result = await authorize();
+
+    expect(result).toMatchObject({ status: 'pending', transaction_id: null });
+    expect((await paymentRows())[0]).toMatchObject({ status: 'pending', transaction_id: null });
+    expect(await outboxTypes()).toEqual([]);
+    await expect(authorize()).rejects.toMatchObject({ code: 'PAYMENT_EXISTS', details: { status: 'pending' } });
+  });
+
+  it('forgets the attempt when the provider cannot be reached', async () => {
+    provider.authorize.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+    await expect(authorize()).rejects.toThrow('ECONNREFUSED');
+
+    expect(await paymentRows()).toHaveLength(0);
+    expect((await authorize()).status).toBe('authorized');
+  });
+
+  it('gives up abandoned attempts at the provider and reports them as failed', async () => {
+    await db.pool.query(
+      "INSERT INTO payments (order_id, amount, status, provider, created_at) VALUES ($1, 20, 'pending', 'simulator', NOW() - INTERVAL '3 minutes')",
+      [order.id]
+    );
+
+    await payments.failAbandonedAuthorizations();
+
+    expect(provider.reconcile).toHaveBeenCalledWith({ orderId: order.id, attempt: 0 });
+    expect((await paymentRows())[0]).toMatchObject({ status: 'failed', decline_code: 'processing_error', pending_operation: null });
+    expect(await outboxTypes()).toEqual(['PaymentFailed']);
+    expect((await authorize()).status).toBe('authorized');
+  });
+
+  it('tries again later when the provider cannot reconcile the attempt yet', async () => {
+    provider.authorize.mockResolvedValueOnce({ reference: null, status: 'unknown' });
+    provider.reconcile.mockRejectedValueOnce(new Error('Request failed with status code 503'));
+    await authorize();
+    await db.pool.query("UPDATE payments SET created_at = NOW() - INTERVAL '3 minutes'");
+
+    await payments.failAbandonedAuthorizations();
+    expect((await paymentRows())[0]).toMatchObject({ status: 'pending', pending_operation: null });
+
+    await payments.failAbandonedAuthorizations();
+    expect((await paymentRows())[0].status).toBe('failed');
+    expect(provider.reconcile).toHaveBeenCalledTimes(2);
+  });
+
+  it('releases the hold when the attempt was given up while the provider worked', async () => {
+    const answer = deferred();
+    provider.authorize.mockReturnValue(answer.promise);
+
+    const pending = authorize();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await db.pool.query("UPDATE payments SET created_at = NOW() - INTERVAL '3 minutes'");
+    await payments.failAbandonedAuthorizations();
+    answer.resolve(authorized);
+
+    await expect(pending).rejects.toThrow('given up');
+    expect(provider.void).toHaveBeenCalledWith({ reference: 'txn_1' });
+    expect((await paymentRows())[0].status).toBe('failed');
+  });
+});
+
+describe('capture', () => {
+  beforeEach(async () => {
+    await authorize();
+  });
+
+  it('takes the authorized funds once', async () => {
+    const captured = await payments.capture('txn_1');
+    const again = await payments.capture('txn_1');
+
+    expect(captured).toMatchObject({ status: 'captured', pending_operation: null, captured_at: expect.any(Date) });
+    expect(again).toMatchObject({ status: 'captured', pending_operation: null });
+    expect(provider.capture).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves the authorization open when the capture fails', async () => {
+    provider.capture.mockResolvedValueOnce({ status: 'failed', decline_code: 'expired_card', decline_message: 'Card expired' });
+
+    await expect(payments.capture('txn_1')).rejects.toMatchObject({ status: 402, code: 'CAPTURE_FAILED' });
+
+    expect((await paymentRows())[0]).toMatchObject({ status: 'authorized', pending_operation: null });
+    expect((await payments.capture('txn_1')).status).toBe('captured');
+  });
+
+  it('refuses an expired authorization', async () => {
+    await db.pool.query("UPDATE payments SET authorization_expires_at = NOW() - INTERVAL '1 second'");
+
+    await expect(payments.capture('txn_1')).rejects.toMatchObject({ status: 409, code: 'AUTHORIZATION_EXPIRED' });
+    expect(provider.capture).not.toHaveBeenCalled();
+  });
+
+  it('reports unknown payments', async () => {
+    await expect(payments.capture('txn_404')).rejects.toMatchObject({ status: 404, code: 'PAYMENT_NOT_FOUND' });
+  });
+});
+
+describe('void', () => {
+  beforeEach(async () => {
+    await authorize();
+  });
+
+  it('releases the authorization once', async () => {
+    const voided = await payments.void('txn_1');
+    const again = await payments.void('txn_1');
+
+    expect(voided).toMatchObject({ status: 'voided', voided_at: expect.any(Date) });
+    expect(again.status).toBe('voided');
+    expect(provider.void).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses other operations while the provider voids, without holding a connection', async () => {
+    const answer = deferred();
+    provider.void.mockReturnValue(answer.promise);
+
+    const voiding = payments.void('txn_1');
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(connectionsInUse()).toBe(0);
+    await expect(payments.capture('txn_1')).rejects.toMatchObject({
+      status: 409,
+      code: 'PAYMENT_BUSY',
+      details: { pending_operation: 'void' }
+    });
+    answer.resolve({ status: 'voided' });
+    await voiding;
+    await expect(payments.capture('txn_1')).rejects.toMatchObject({ code: 'INVALID_PAYMENT_STATE', details: { status: 'voided' } });
+  });
+
+  it('frees the payment when the provider fails', async () => {
+    provider.void.mockRejectedValueOnce(new Error('socket hang up'));
+
+    await expect(payments.void('txn_1')).rejects.toThrow('socket hang up');
+
+    expect((await paymentRows())[0]).toMatchObject({ status: 'authorized', pending_operation: null });
+  });
+
+  it('takes over a claim abandoned by a process that died', async () => {
+    await db.pool.query("UPDATE payments SET pending_operation = 'capture', operation_started_at = NOW() - INTERVAL '3 minutes'");
+
+    expect((await payments.void('txn_1')).status).toBe('voided');
+  });
+});
+
+describe('refund', () => {
+  beforeEach(async () => {
+    await authorize();
+    await payments.capture('txn_1');
+  });
+
+  it('refunds part of the payment, then the rest', async () => {
+    const partial = await payments.refund('txn_1', { amount: 5, reason: 'Damaged', requestedBy: 3 });
+
+    expect(partial).toMatchObject({
+      amount: '5.00',
+      status: 'succeeded',
+      requested_by: 3,
+      payment: { status: 'captured', amount_refunded: '5.00', refund_status: 'partial', refundable_amount: '15.00' }
+    });
+
+    const rest = await payments.refund('txn_1', { requestedBy: 3 });
+
+    expect(rest).toMatchObject({ amount: '15.00', payment: { status: 'refunded', refund_status: 'full' } });
+    expect(await outboxTypes()).toEqual(['PaymentSucceeded', 'PaymentRefunded', 'PaymentRefunded']);
+    await expect(payments.refund('txn_1', { requestedBy: 3 })).rejects.toMatchObject({ status: 409, code: 'ALREADY_REFUNDED' });
+  });
+
+  it('never refunds more than was captured', async () => {
+    await expect(payments.refund('txn_1', { amount: 25, requestedBy: 3 })).rejects.toMatchObject({
+      status: 400,
+      code: 'REFUND_EXCEEDS_REFUNDABLE',
+      details: { refundable_amount: '20.00' }
+    });
+    expect(provider.refund).not.toHaveBeenCalled();
+  });
+
+  it('records a failed refund and leaves the payment as it was', async () => {
+    provider.refund.mockResolvedValueOnce({ reference: null, status: 'failed', decline_code: 'expired_card', decline_message: 'Card expired' });
+
+    await expect(payments.refund('txn_1', { requestedBy: 3 })).rejects.toMatchObject({
+      status: 402,
+      code: 'REFUND_FAILED',
+      details: { decline_code: 'expired_card', refund: { status: 'failed' } }
+    });
+
+    expect((await paymentRows())[0]).toMatchObject({ status: 'captured', amount_refunded: '0.00', pending_operation: null });
+    expect((await db.pool.query('SELECT status FROM refunds')).rows).toEqual([{ status: 'failed' }]);
+  });
+
+  it('lets only one of two concurrent refunds reach the provider', async () => {
+    const answer = deferred();
+    provider.refund.mockReturnValueOnce(answer.promise);
+
+    const first = payments.refund('txn_1', { requestedBy: 3 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await expect(payments.refund('txn_1', { requestedBy: 4 })).rejects.toMatchObject({ code: 'PAYMENT_BUSY' });
+
+    answer.resolve({ reference: 're_1', status: 'succeeded' });
+    await first;
+    expect(provider.refund).toHaveBeenCalledTimes(1);
+    expect((await paymentRows())[0]).toMatchObject({ status: 'refunded', amount_refunded: '20.00' });
+  });
+});
+
+describe('expireAuthorizations', () => {
+  it('leaves a payment with an operation in progress to it', async () => {
+    await authorize();
+    await db.pool.query(
+      "UPDATE payments SET authorization_expires_at = NOW() - INTERVAL '1 second', pending_operation = 'capture', operation_started_at = NOW()"
+    );
+
+    await payments.expireAuthorizations();
+
+    expect((await paymentRows())[0].status).toBe('authorized');
+  });
+});
+
+describe('lookups', () => {
+  let owner;
+
+  beforeEach(async () => {
+    owner = { userId: order.user_id, role: 'customer' };
+    await authorize();
+    await payments.capture('txn_1');
+    await payments.refund('txn_1', { amount: 5, requestedBy: 3 });
+  });
+
+  it('shows customers the payments of their own orders, with their refunds', async () => {
+    const [payment] = await payments.forOrder(order.id, owner);
+
+    expect(payment).toMatchObject({ transaction_id: 'txn_1', refund_status: 'partial', refunds: [{ amount: '5.00' }] });
+    expect(await payments.findByTransaction('txn_1', owner)).toMatchObject({ order_id: order.id, refunds: [{ amount: '5.00' }] });
+  });
+
+  it('does not find other customers\' payments', async () => {
+    const other = { userId: (await db.insertUser()).id, role: 'customer' };
+
+    await expect(payments.forOrder(order.id, other)).rejects.toMatchObject({ status: 404, code: 'ORDER_NOT_FOUND' });
+    await expect(payments.findByTransaction('txn_1', other)).rejects.toMatchObject({ status: 404, code: 'PAYMENT_NOT_FOUND' });
+  });
+
+  it('shows staff and internal callers every order\'s payments', async () => {
+    const support = { userId: (await db.insertUser({ role: 'support' })).id, role: 'support' };
+
+    expect(await payments.forOrder(order.id, support)).toHaveLength(1);
+    expect((await payments.findByTransaction('txn_1', support)).transaction_id).toBe('txn_1');
+    expect(await payments.forOrder(order.id)).toHaveLength(1);
+  });
+});
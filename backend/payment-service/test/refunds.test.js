@@ -0,0 +1,57 @@
+const { withRefundStatus, planRefund } = require('../refunds');
+
+// As read from the payments table, where amounts are DECIMAL strings
+const payment = (amount, amountRefunded, status = 'captured') => ({
+  id: 1,
+  amount,
+  amount_refunded: amountRefunded,
+  status
+});
+
+describe('planRefund', () => {
+  it('refunds all that is left when no amount is given', () => {
+    expect(planRefund(payment('59.97', '20.00'))).toEqual({
+      amount: '39.97',
+      refundable_amount: '39.97',
+      exceeds: false,
+      fully_refunded: true
+    });
+  });
+
+  it('allows a partial refund within what is left', () => {
+    expect(planRefund(payment('59.97', '0.00'), 19.99)).toMatchObject({
+      amount: '19.99',
+      exceeds: false,
+      fully_refunded: false
+    });
+  });
+
+  it('counts earlier refunds against the limit', () => {
+    expect(planRefund(payment('59.97', '40.00'), 20)).toMatchObject({
+      refundable_amount: '19.97',
+      exceeds: true
+    });
+  });
+
+  it('takes the last cent as a full refund without floating point drift', () => {
+    // 0.1 + 0.2 !== 0.3 in floating point
+    expect(planRefund(payment('0.30', '0.10'), 0.2)).toMatchObject({
+      amount: '0.20',
+      exceeds: false,
+      fully_refunded: true
+    });
+    expect(planRefund(payment('0.30', '0.10'), 0.21).exceeds).toBe(true);
+  });
+});
+
+describe('withRefundStatus', () => {
+  it('reports no, partial and full refunds', () => {
+    expect(withRefundStatus(payment('50.00', '0.00'))).toMatchObject({ refund_status: 'none', refundable_amount: '50.00' });
+    expect(withRefundStatus(payment('50.00', '12.50'))).toMatchObject({ refund_status: 'partial', refundable_amount: '37.50' });
+    expect(withRefundStatus(payment('50.00', '50.00', 'refunded'))).toMatchObject({ refund_status: 'full', refundable_amount: '0.00' });
+  });
+
+  it('leaves nothing refundable on payments that were not captured', () => {
+    expect(withRefundStatus(payment('50.00', '0.00', 'authorized')).refundable_amount).toBe('0.00');
+  });
+});
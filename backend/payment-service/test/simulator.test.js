@@ -0,0 +1,121 @@
+const { settings, DECLINES, TEST_CARDS, simulatePayment } = require('../simulator');
+
+const defaults = { ...settings };
+
+// The simulated latency of each payment, in the order they were made
+let latencies;
+
+const outcome = async (payment) => {
+  const result = await simulatePayment({ orderId: 1, amount: '10.00', ...payment });
+  return result.decline_code;
+};
+
+// Outcomes of one payment for each of the orders 1..count
+const outcomes = async (count) => {
+  const declines = [];
+  for (let orderId = 1; orderId <= count; orderId++) {
+    declines.push(await outcome({ orderId }));
+  }
+  return declines;
+};
+
+beforeEach(() => {
+  Object.assign(settings, defaults, { seed: null, magicAmounts: false, successRate: 1, minLatencyMs: 100, maxLatencyMs: 500 });
+  // Latency is recorded instead of waited for
+  latencies = [];
+  jest.spyOn(global, 'setTimeout').mockImplementation((resolve, ms) => {
+    latencies.push(ms);
+    resolve();
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('seeded outcomes', () => {
+  beforeEach(() => {
+    settings.successRate = 0.5;
+  });
+
+  it('repeats the outcome and latency of every payment for the same seed', async () => {
+    settings.seed = 'demo';
+    const first = await outcomes(40);
+    const firstLatencies = latencies;
+    latencies = [];
+
+    const second = await outcomes(40);
+
+    expect(second).toEqual(first);
+    expect(latencies).toEqual(firstLatencies);
+    // Both outcomes occur, so the seed does not just fix one
+    expect(first).toContain(null);
+    expect(first).toContain('card_declined');
+  });
+
+  it('gives other outcomes for another seed', async () => {
+    settings.seed = 'demo';
+    const first = await outcomes(40);
+    settings.seed = 'other';
+
+    expect(await outcomes(40)).not.toEqual(first);
+  });
+
+  it('keeps latency within the configured range', async () => {
+    settings.seed = 'demo';
+    await outcomes(40);
+
+    expect(Math.min(...latencies)).toBeGreaterThanOrEqual(100);
+    expect(Math.max(...latencies)).toBeLessThan(500);
+  });
+});
+
+describe('test cards', () => {
+  it.each(Object.entries(TEST_CARDS))('%s always gives %s', async (cardNumber, declineCode) => {
+    settings.successRate = declineCode ? 1 : 0;
+
+    const result = await simulatePayment({ orderId: 1, amount: '10.00', cardNumber });
+
+    expect(result).toMatchObject({
+      status: declineCode ? 'failed' : 'success',
+      decline_code: declineCode,
+      decline_message: declineCode ? DECLINES[declineCode] : null
+    });
+  });
+
+  it('takes the processor timeout to time out', async () => {
+    settings.timeoutMs = 10000;
+
+    await outcome({ cardNumber: '4000000000000119' });
+
+    expect(latencies).toEqual([10000]);
+  });
+});
+
+describe('magic amounts', () => {
+  const MAGIC = [
+    ['10.02', 'card_declined'],
+    ['10.05', 'insufficient_funds'],
+    ['10.08', 'processor_timeout'],
+    ['10.13', 'fraud_suspected']
+  ];
+
+  it.each(MAGIC)('declines %s with %s when enabled', async (amount, declineCode) => {
+    settings.magicAmounts = true;
+
+    expect(await outcome({ amount })).toBe(declineCode);
+  });
+
+  it('ignores the cents when disabled', async () => {
+    for (const [amount] of MAGIC) {
+      expect(await outcome({ amount })).toBeNull();
+    }
+  });
+
+  it('lets a test card win over the amount', async () => {
+    settings.magicAmounts = true;
+
+    expect(await outcome({ amount: '10.02', cardNumber: '4242424242424242' })).toBeNull();
+    expect(await outcome({ amount: '10.00', cardNumber: '4000000000009995' })).toBe('insufficient_funds');
+  });
+});
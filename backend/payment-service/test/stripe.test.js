@@ -0,0 +1,102 @@
+const axios = require('axios');
+
+jest.mock('axios', () => {
+  const client = { post: jest.fn(), get: jest.fn() };
+  return { create: () => client };
+});
+
+const stripe = require('../providers/stripe');
+
+const client = axios.create();
+
+const timeout = () => Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+
+const cardError = (error) => Object.assign(new Error('Request failed with status code 402'), {
+  response: { status: 402, data: { error } }
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('authorize', () => {
+  it('keys the payment intent by order and attempt', async () => {
+    client.post.mockResolvedValue({ data: { id: 'pi_1', status: 'requires_capture' } });
+
+    const result = await stripe.authorize({ orderId: 7, attempt: 1, amount: '20.50', cardNumber: '4242424242424242' });
+
+    expect(result).toEqual({ reference: 'pi_1', status: 'authorized', decline_code: null, decline_message: null });
+    const [path, body, options] = client.post.mock.calls[0];
+    expect(path).toBe('/v1/payment_intents');
+    expect(Object.fromEntries(body)).toMatchObject({
+      amount: '2050',
+      payment_method: 'pm_card_visa',
+      capture_method: 'manual',
+      'metadata[order_id]': '7',
+      'metadata[attempt]': '1'
+    });
+    expect(options.headers).toEqual({ 'Idempotency-Key': 'order-7-attempt-1' });
+  });
+
+  it('leaves the outcome unknown when Stripe does not answer in time', async () => {
+    client.post.mockRejectedValue(timeout());
+
+    const result = await stripe.authorize({ orderId: 7, attempt: 0, amount: 20 });
+
+    expect(result).toMatchObject({ reference: null, status: 'unknown', decline_code: 'processor_timeout' });
+  });
+
+  it('maps card errors to declines', async () => {
+    client.post.mockRejectedValue(cardError({
+      code: 'card_declined',
+      decline_code: 'insufficient_funds',
+      message: 'Your card has insufficient funds.',
+      payment_intent: { id: 'pi_2' }
+    }));
+
+    const result = await stripe.authorize({ orderId: 7, attempt: 0, amount: 20 });
+
+    expect(result).toEqual({
+      reference: 'pi_2',
+      status: 'declined',
+      decline_code: 'insufficient_funds',
+      decline_message: 'Your card has insufficient funds.'
+    });
+  });
+
+  it('throws when Stripe fails otherwise', async () => {
+    client.post.mockRejectedValue(Object.assign(new Error('Request failed with status code 500'), { response: { status: 500, data: {} } }));
+
+    await expect(stripe.authorize({ orderId: 7, attempt: 0, amount: 20 })).rejects.toThrow('500');
+  });
+});
+
+describe('reconcile', () => {
+  it('finds the intents of the attempt and cancels those holding funds', async () => {
+    client.get.mockResolvedValue({
+      data: {
+        data: [
+          { id: 'pi_1', status: 'requires_capture' },
+          { id: 'pi_2', status: 'canceled' },
+          { id: 'pi_3', status: 'requires_payment_method' }
+        ]
+      }
+    });
+    client.post.mockResolvedValue({ data: {} });
+
+    const result = await stripe.reconcile({ orderId: 7, attempt: 1 });
+
+    expect(client.get).toHaveBeenCalledWith('/v1/payment_intents/search', {
+      params: { query: "metadata['order_id']:'7' AND metadata['attempt']:'1'" }
+    });
+    expect(client.post.mock.calls.map(([path]) => path)).toEqual(['/v1/payment_intents/pi_1/cancel']);
+    expect(result).toEqual({ voided: ['pi_1'] });
+  });
+
+  it('has nothing to release when the attempt never reached Stripe', async () => {
+    client.get.mockResolvedValue({ data: { data: [] } });
+
+    expect(await stripe.reconcile({ orderId: 7, attempt: 0 })).toEqual({ voided: [] });
+    expect(client.post).not.toHaveBeenCalled();
+  });
+});
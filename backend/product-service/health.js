@@ -0,0 +1,121 @@
+const http = require('http');
+const https = require('https');
+
+// A dependency that does not answer within this time counts as down
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000;
+
+const startedAt = Date.now();
+
+const withTimeout = (promise) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Runs one check and reports { status: 'up' | 'down', latency_ms, ... }.
+// Whatever the check resolves with (or error.details when it fails) is merged
+// into the result.
+const runCheck = async (check) => {
+  const started = Date.now();
+  try {
+    const details = await withTimeout(check());
+    return { status: 'up', latency_ms: Date.now() - started, ...details };
+  } catch (error) {
+    return { status: 'down', latency_ms: Date.now() - started, error: error.message, ...error.details };
+  }
+};
+
+const runChecks = async (checks) => {
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map(name => runCheck(checks[name])));
+  return names.reduce((acc, name, i) => ({ ...acc, [name]: results[i] }), {});
+};
+
+// GET that resolves with the parsed JSON body of a 2xx response and rejects
+// on anything else
+const getJson = (url) => new Promise((resolve, reject) => {
+  const client = url.startsWith('https:') ? https : http;
+  const req = client.get(url, { timeout: CHECK_TIMEOUT_MS }, (res) => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => {
+      let parsed;
+      try {
+        parsed = body ? JSON.parse(body) : {};
+      } catch (error) {
+        parsed = {};
+      }
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        resolve(parsed);
+      } else {
+        const error = new Error(`HTTP ${res.statusCode}`);
+        error.body = parsed;
+        reject(error);
+      }
+    });
+  });
+  req.on('timeout', () => req.destroy(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)));
+  req.on('error', reject);
+});
+
+// Postgres is reachable and the pool can hand out a connection
+const postgresCheck = (pool) => async () => {
+  await pool.query('SELECT 1');
+  return {
+    pool: { total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount }
+  };
+};
+
+// A downstream service answers its liveness probe
+const serviceCheck = (baseUrl) => async () => {
+  await getJson(`${baseUrl}/health/live`);
+  return {};
+};
+
+// A downstream service reports itself ready; its own checks are passed
+// through so the caller can see which dependency is failing
+const serviceReadinessCheck = (baseUrl) => async () => {
+  try {
+    const body = await getJson(`${baseUrl}/health/ready`);
+    return { checks: body.checks };
+  } catch (error) {
+    error.details = error.body?.checks ? { checks: error.body.checks } : undefined;
+    throw error;
+  }
+};
+
+// Liveness: the process is running and serving requests. Never checks
+// dependencies, so an outage elsewhere does not get this pod restarted.
+const liveness = (service) => (req, res) => {
+  res.status(200).json({
+    status: 'healthy',
+    service,
+    uptime_seconds: Math.round((Date.now() - startedAt) / 1000),
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Readiness: every dependency is up. 503 takes the pod out of rotation.
+const readiness = (service, checks) => async (req, res) => {
+  const results = await runChecks(checks);
+  const ready = Object.values(results).every(result => result.status === 'up');
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    service,
+    checks: results,
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  runChecks,
+  postgresCheck,
+  serviceCheck,
+  serviceReadinessCheck,
+  liveness,
+  readiness
+};
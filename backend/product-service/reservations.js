@@ -0,0 +1,192 @@
+const { counter } = require('./metrics');
+
+// Stock held for orders. Reserving takes the stock off the product right
+// away; each reservation then ends one of two ways:
+//
+//   released   the payment failed or the order was cancelled, and the stock
+//              went back on the product
+//   committed  the order shipped and the stock is gone for good
+const stockReservations = counter('stock_reservations_total', 'Stock reservation requests for orders, by result', ['result']);
+
+const reservationError = (status, message, code, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+// createReservations({ pool, logger, recordStockChange }) sets up stock
+// reservations for product-service. recordStockChange(db, change) records the
+// StockChanged event of each product in the same transaction.
+const createReservations = ({ pool, logger, recordStockChange }) => {
+  const forOrder = async (db, orderId) => {
+    const result = await db.query(
+      'SELECT product_id, quantity, status FROM stock_reservations WHERE order_id = $1 ORDER BY product_id',
+      [orderId]
+    );
+    return result.rows;
+  };
+
+  // Reserves the stock for a new order. Either every item is reserved or none
+  // is. The products are locked in id order, so concurrent checkouts wait for
+  // each other instead of overselling or deadlocking. Calling again for an
+  // order that already has reservations returns them unchanged. Resolves with
+  // { reservations, created }.
+  const reserve = async (orderId, items) => {
+    // The same product may appear on several lines
+    const requested = new Map();
+    items.forEach(({ product_id, quantity }) => {
+      requested.set(product_id, (requested.get(product_id) || 0) + quantity);
+    });
+    const productIds = [...requested.keys()].sort((a, b) => a - b);
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      // NO KEY UPDATE: the order is only created once its stock is reserved
+      // (see order-service's checkout.js), but other checkouts inserting order
+      // items hold key share locks on these products, which must not block it
+      const products = await client.query(
+        'SELECT id, name, stock_quantity FROM products WHERE id = ANY($1) ORDER BY id FOR NO KEY UPDATE',
+        [productIds]
+      );
+
+      const existing = await forOrder(client, orderId);
+      if (existing.length > 0) {
+        await client.query('ROLLBACK');
+        return { reservations: existing, created: false };
+      }
+
+      const found = new Set(products.rows.map(product => product.id));
+      const missing = productIds.filter(productId => !found.has(productId));
+      if (missing.length > 0) {
+        throw reservationError(404, 'Product not found', 'PRODUCT_NOT_FOUND', { product_ids: missing });
+      }
+
+      const shortages = products.rows
+        .filter(product => product.stock_quantity < requested.get(product.id))
+        .map(product => ({
+          product_id: product.id,
+          name: product.name,
+          requested: requested.get(product.id),
+          available: product.stock_quantity
+        }));
+      if (shortages.length > 0) {
+        stockReservations.inc({ result: 'out_of_stock' });
+        logger.warn(`Stock reservation for order ${orderId} rejected`, { shortages });
+        throw reservationError(
+          409,
+          `Not enough stock for ${shortages.map(item => `${item.name} (${item.available} available)`).join(', ')}`,
+          'OUT_OF_STOCK',
+          { items: shortages }
+        );
+      }
+
+      const quantities = productIds.map(productId => requested.get(productId));
+      const reserved = await client.query(
+        `UPDATE products p SET stock_quantity = p.stock_quantity - r.quantity, updated_at = CURRENT_TIMESTAMP
+         FROM unnest($1::int[], $2::int[]) AS r(product_id, quantity)
+         WHERE p.id = r.product_id
+         RETURNING p.id, p.stock_quantity, r.quantity`,
+        [productIds, quantities]
+      );
+      for (const product of reserved.rows) {
+        await recordStockChange(client, {
+          productId: product.id,
+          stockQuantity: product.stock_quantity,
+          change: -product.quantity,
+          reason: 'reserved',
+          orderId
+        });
+      }
+      const reservations = await client.query(
+        `INSERT INTO stock_reservations (order_id, product_id, quantity)
+         SELECT $1, product_id, quantity FROM unnest($2::int[], $3::int[]) AS r(product_id, quantity)
+         RETURNING product_id, quantity, status`,
+        [orderId, productIds, quantities]
+      );
+
+      await client.query('COMMIT');
+      stockReservations.inc({ result: 'reserved' });
+      logger.info(`Stock reserved for order ${orderId}`, { items: reservations.rows });
+      return { reservations: reservations.rows, created: true };
+    } catch (error) {
+      await client?.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client?.release();
+    }
+  };
+
+  // Returns an order's reserved stock, when its payment fails or the order is
+  // cancelled. Only reservations still held are released, so repeated calls
+  // are harmless. Resolves with the order's reservations.
+  const release = async (orderId) => {
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+
+      const released = await client.query(
+        `WITH released AS (
+           UPDATE stock_reservations SET status = 'released', updated_at = CURRENT_TIMESTAMP
+           WHERE order_id = $1 AND status = 'reserved'
+           RETURNING product_id, quantity
+         )
+         UPDATE products p SET stock_quantity = p.stock_quantity + released.quantity, updated_at = CURRENT_TIMESTAMP
+         FROM released WHERE p.id = released.product_id
+         RETURNING p.id, p.stock_quantity, released.quantity`,
+        [orderId]
+      );
+      for (const product of released.rows) {
+        await recordStockChange(client, {
+          productId: product.id,
+          stockQuantity: product.stock_quantity,
+          change: product.quantity,
+          reason: 'released',
+          orderId
+        });
+      }
+
+      await client.query('COMMIT');
+      if (released.rowCount > 0) {
+        logger.info(`Stock released for order ${orderId}: ${released.rowCount} products`);
+      }
+    } catch (error) {
+      await client?.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client?.release();
+    }
+
+    return forOrder(pool, orderId);
+  };
+
+  // The order has shipped and its reserved stock is gone for good. Resolves
+  // with the order's reservations.
+  const commit = async (orderId) => {
+    const committed = await pool.query(
+      `UPDATE stock_reservations SET status = 'committed', updated_at = CURRENT_TIMESTAMP
+       WHERE order_id = $1 AND status = 'reserved'`,
+      [orderId]
+    );
+    if (committed.rowCount > 0) {
+      logger.info(`Stock committed for order ${orderId}: ${committed.rowCount} products`);
+    }
+
+    return forOrder(pool, orderId);
+  };
+
+  return {
+    reserve,
+    release,
+    commit
+  };
+};
+
+module.exports = {
+  createReservations
+};
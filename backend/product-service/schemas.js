@@ -0,0 +1,75 @@
+const { Joi, id, bodyId } = require('./validation');
+
+const price = Joi.number().strict().positive().precision(2).max(99999999.99);
+const stockQuantity = Joi.number().strict().integer().min(0);
+
+const product = {
+  name: Joi.string().trim().max(100).required(),
+  description: Joi.string().trim().max(5000).allow('', null).default(null),
+  price: price.required(),
+  image_url: Joi.string().trim().uri().max(500).allow('', null).default(null),
+  category: Joi.string().trim().max(50).allow('', null).default(null)
+};
+
+const productParams = Joi.object({ id: id.required() });
+
+module.exports = {
+  listProducts: {
+    query: Joi.object({
+      category: Joi.string().trim().max(50),
+      search: Joi.string().trim().max(100),
+      limit: Joi.number().integer().min(1).max(100).default(50),
+      offset: Joi.number().integer().min(0).default(0)
+    })
+  },
+
+  productParams: {
+    params: productParams
+  },
+
+  createProduct: {
+    body: Joi.object({
+      ...product,
+      stock_quantity: stockQuantity.default(0)
+    })
+  },
+
+  // PUT replaces the whole product, so every stored field must be sent
+  replaceProduct: {
+    params: productParams,
+    body: Joi.object({
+      ...product,
+      stock_quantity: stockQuantity.required()
+    })
+  },
+
+  setStock: {
+    params: productParams,
+    body: Joi.object({
+      quantity: stockQuantity.required()
+    })
+  },
+
+  // Relative change, e.g. +20 for a delivery or -2 for damaged goods
+  adjustStock: {
+    params: productParams,
+    body: Joi.object({
+      delta: Joi.number().strict().integer().invalid(0).min(-100000).max(100000).required(),
+      reason: Joi.string().trim().max(255).allow('', null).default(null)
+    })
+  },
+
+  reserveStock: {
+    body: Joi.object({
+      order_id: bodyId.required(),
+      items: Joi.array().items(Joi.object({
+        product_id: bodyId.required(),
+        quantity: Joi.number().strict().integer().min(1).required()
+      })).min(1).max(50).required()
+    })
+  },
+
+  reservationParams: {
+    params: Joi.object({ orderId: id.required() })
+  }
+};
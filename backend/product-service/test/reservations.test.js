@@ -0,0 +1,182 @@
+const { createReservations } = require('../reservations');
+const { createEventBus } = require('../events');
+const { createTestDatabase } = require('../../test/db');
+
+const logger = { info: () => {}, warn: () => {} };
+
+let db;
+let reservations;
+
+const stockOf = async (productId) =>
+  (await db.pool.query('SELECT stock_quantity FROM products WHERE id = $1', [productId])).rows[0].stock_quantity;
+
+const stockEvents = async () =>
+  (await db.pool.query("SELECT payload FROM outbox_events WHERE event_type = 'StockChanged' ORDER BY id")).rows
+    .map(row => row.payload.data);
+
+beforeAll(async () => {
+  db = await createTestDatabase();
+  // As in server.js
+  const events = createEventBus({ pool: db.pool, service: 'product-service', logger });
+  const recordStockChange = (client, { productId, stockQuantity, change, reason, orderId = null }) =>
+    events.record(client, 'StockChanged', {
+      aggregateType: 'product',
+      aggregateId: productId,
+      data: { product_id: productId, stock_quantity: stockQuantity, change, reason, order_id: orderId }
+    });
+  reservations = createReservations({ pool: db.pool, logger, recordStockChange });
+});
+
+beforeEach(async () => {
+  await db.reset();
+});
+
+afterAll(async () => {
+  await db.close();
+});
+
+describe('reserve', () => {
+  it('takes the stock of every item off its product', async () => {
+    const laptop = await db.insertProduct({ stock: 5 });
+    const mouse = await db.insertProduct({ stock: 3 });
+
+    const result = await reservations.reserve(10, [
+      { product_id: mouse.id, quantity: 1 },
+      { product_id: laptop.id, quantity: 2 }
+    ]);
+
+    expect(result.created).toBe(true);
+    expect(result.reservations).toEqual([
+      { product_id: laptop.id, quantity: 2, status: 'reserved' },
+      { product_id: mouse.id, quantity: 1, status: 'reserved' }
+    ]);
+    expect(await stockOf(laptop.id)).toBe(3);
+    expect(await stockOf(mouse.id)).toBe(2);
+    expect(await stockEvents()).toEqual([
+      { product_id: laptop.id, stock_quantity: 3, change: -2, reason: 'reserved', order_id: 10 },
+      { product_id: mouse.id, stock_quantity: 2, change: -1, reason: 'reserved', order_id: 10 }
+    ]);
+  });
+
+  it('adds up lines for the same product', async () => {
+    const product = await db.insertProduct({ stock: 5 });
+
+    await reservations.reserve(10, [{ product_id: product.id, quantity: 2 }, { product_id: product.id, quantity: 3 }]);
+
+    expect(await stockOf(product.id)).toBe(0);
+  });
+
+  it('reserves nothing when any item is short', async () => {
+    const laptop = await db.insertProduct({ stock: 5 });
+    const mouse = await db.insertProduct({ stock: 1 });
+
+    const attempt = reservations.reserve(10, [
+      { product_id: laptop.id, quantity: 2 },
+      { product_id: mouse.id, quantity: 2 }
+    ]);
+
+    await expect(attempt).rejects.toMatchObject({
+      status: 409,
+      code: 'OUT_OF_STOCK',
+      details: { items: [{ product_id: mouse.id, requested: 2, available: 1 }] }
+    });
+    expect(await stockOf(laptop.id)).toBe(5);
+    expect((await db.pool.query('SELECT * FROM stock_reservations')).rows).toHaveLength(0);
+    expect(await stockEvents()).toHaveLength(0);
+  });
+
+  it('reports products that do not exist', async () => {
+    const product = await db.insertProduct();
+
+    await expect(reservations.reserve(10, [{ product_id: product.id, quantity: 1 }, { product_id: 999, quantity: 1 }]))
+      .rejects.toMatchObject({ status: 404, code: 'PRODUCT_NOT_FOUND', details: { product_ids: [999] } });
+  });
+
+  it('returns the existing reservations when called again for the order', async () => {
+    const product = await db.insertProduct({ stock: 5 });
+    await reservations.reserve(10, [{ product_id: product.id, quantity: 2 }]);
+
+    const again = await reservations.reserve(10, [{ product_id: product.id, quantity: 2 }]);
+
+    expect(again).toEqual({ created: false, reservations: [{ product_id: product.id, quantity: 2, status: 'reserved' }] });
+    expect(await stockOf(product.id)).toBe(3);
+  });
+
+  it('does not oversell the last items to concurrent checkouts', async () => {
+    const product = await db.insertProduct({ stock: 3 });
+
+    const results = await Promise.allSettled([10, 11, 12].map(orderId =>
+      reservations.reserve(orderId, [{ product_id: product.id, quantity: 2 }])
+    ));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.filter(result => result.reason?.code === 'OUT_OF_STOCK')).toHaveLength(2);
+    expect(await stockOf(product.id)).toBe(1);
+  });
+
+  it('does not wait for other checkouts inserting items of the same products', async () => {
+    const product = await db.insertProduct({ stock: 5 });
+    const user = await db.insertUser();
+    const order = await db.insertOrder({ userId: user.id });
+
+    // An order_items insert holds a key share lock on the product until its
+    // transaction ends
+    const other = await db.pool.connect();
+    let timer;
+    try {
+      await other.query('BEGIN');
+      await other.query(
+        'INSERT INTO order_items (order_id, product_id, quantity, price) VALUES ($1, $2, 1, 10)',
+        [order.id, product.id]
+      );
+
+      const result = await Promise.race([
+        reservations.reserve(20, [{ product_id: product.id, quantity: 1 }]),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('reserve waited for the lock')), 2000);
+        })
+      ]);
+
+      expect(result.created).toBe(true);
+    } finally {
+      clearTimeout(timer);
+      await other.query('ROLLBACK');
+      other.release();
+    }
+  });
+});
+
+describe('release', () => {
+  it('puts held stock back once, however often it is called', async () => {
+    const product = await db.insertProduct({ stock: 5 });
+    await reservations.reserve(10, [{ product_id: product.id, quantity: 2 }]);
+
+    await reservations.release(10);
+    const released = await reservations.release(10);
+
+    expect(await stockOf(product.id)).toBe(5);
+    expect(released).toEqual([{ product_id: product.id, quantity: 2, status: 'released' }]);
+    expect((await stockEvents()).map(event => event.reason)).toEqual(['reserved', 'released']);
+  });
+
+  it('leaves committed stock alone', async () => {
+    const product = await db.insertProduct({ stock: 5 });
+    await reservations.reserve(10, [{ product_id: product.id, quantity: 2 }]);
+
+    await reservations.commit(10);
+    const released = await reservations.release(10);
+
+    expect(await stockOf(product.id)).toBe(3);
+    expect(released).toEqual([{ product_id: product.id, quantity: 2, status: 'committed' }]);
+  });
+
+  it('only touches the given order', async () => {
+    const product = await db.insertProduct({ stock: 5 });
+    await reservations.reserve(10, [{ product_id: product.id, quantity: 2 }]);
+    await reservations.reserve(11, [{ product_id: product.id, quantity: 1 }]);
+
+    await reservations.release(10);
+
+    expect(await stockOf(product.id)).toBe(4);
+  });
+});
@@ -0,0 +1,59 @@
+const Joi = require('joi');
+
+// Every rejected request gets the same body so clients can map errors to fields:
+// { code: 'VALIDATION_ERROR', message, details: [{ field, message }] }
+const validationError = (details) => ({
+  code: 'VALIDATION_ERROR',
+  message: 'Request validation failed',
+  details
+});
+
+const SOURCES = ['params', 'query', 'body'];
+
+// validate({ params, query, body }) builds a middleware from Joi schemas and
+// replaces each validated part of the request with the sanitized value
+const validate = (schemas) => (req, res, next) => {
+  const details = [];
+
+  SOURCES.forEach(source => {
+    if (!schemas[source]) {
+      return;
+    }
+
+    const { error, value } = schemas[source].validate(req[source] ?? {}, {
+      abortEarly: false,
+      stripUnknown: true,
+      errors: { wrap: { label: false } }
+    });
+
+    if (error) {
+      error.details.forEach(detail => {
+        details.push({
+          field: [source, ...detail.path].join('.'),
+          message: detail.message
+        });
+      });
+    } else {
+      req[source] = value;
+    }
+  });
+
+  if (details.length > 0) {
+    return res.status(400).json(validationError(details));
+  }
+
+  next();
+};
+
+// Path and query values arrive as strings and are converted ('5' -> 5).
+// Numbers inside a JSON body must be actual numbers, hence the strict variants.
+const id = Joi.number().integer().positive();
+const bodyId = id.strict();
+
+module.exports = {
+  Joi,
+  validate,
+  validationError,
+  id,
+  bodyId
+};
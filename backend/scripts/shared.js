@@ -0,0 +1,69 @@
+// Modules the backend services have in common. Each service is built from its
+// own directory (see its Dockerfile), so every service keeps a copy of the
+// modules it uses; the originals are in backend/shared.
+//
+//   node scripts/shared.js check   fails if a copy differs from its original
+//   node scripts/shared.js sync    overwrites the copies with the originals
+//
+// Change the original, then sync.
+const fs = require('fs');
+const path = require('path');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const SHARED_DIR = path.join(BACKEND_DIR, 'shared');
+
+const ALL_SERVICES = ['api-gateway', 'user-service', 'product-service', 'order-service', 'payment-service'];
+const DATABASE_SERVICES = ['user-service', 'product-service', 'order-service', 'payment-service'];
+
+const SHARED_MODULES = {
+  'events.js': DATABASE_SERVICES,
+  'faults.js': ALL_SERVICES,
+  'health.js': ALL_SERVICES,
+  'idempotency.js': ['order-service', 'payment-service'],
+  'metrics.js': ALL_SERVICES,
+  'requestContext.js': ALL_SERVICES,
+  'tracing.js': ALL_SERVICES,
+  'validation.js': ALL_SERVICES,
+  'webhooks.js': ['order-service', 'payment-service']
+};
+
+const copies = () => Object.entries(SHARED_MODULES).flatMap(([file, services]) =>
+  services.map(service => ({
+    original: path.join(SHARED_DIR, file),
+    copy: path.join(BACKEND_DIR, service, file),
+    name: `${service}/${file}`
+  }))
+);
+
+const check = () => {
+  const outdated = copies().filter(({ original, copy }) =>
+    !fs.existsSync(copy) || !fs.readFileSync(copy).equals(fs.readFileSync(original))
+  );
+
+  if (outdated.length > 0) {
+    console.error('These copies differ from their original in backend/shared:');
+    outdated.forEach(({ name }) => console.error(`  ${name}`));
+    console.error('Make the change in backend/shared and run `npm run shared:sync` in backend/.');
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`${copies().length} copies of ${Object.keys(SHARED_MODULES).length} shared modules are up to date`);
+};
+
+const sync = () => {
+  copies().forEach(({ original, copy, name }) => {
+    if (!fs.existsSync(copy) || !fs.readFileSync(copy).equals(fs.readFileSync(original))) {
+      fs.copyFileSync(original, copy);
+      console.log(`Updated ${name}`);
+    }
+  });
+};
+
+const commands = { check, sync };
+const command = commands[process.argv[2]];
+
+if (!command) {
+  console.error('Usage: node scripts/shared.js check|sync');
+  process.exit(2);
+}
+command();
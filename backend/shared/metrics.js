@@ -0,0 +1,100 @@
+const client = require('prom-client');
+const pkg = require('./package.json');
+
+// One registry per service; every series carries the service name so the
+// scraped metrics can be told apart without relying on pod labels
+const register = new client.Registry();
+register.setDefaultLabels({ service: process.env.OTEL_SERVICE_NAME || pkg.name });
+client.collectDefaultMetrics({ register });
+
+const counter = (name, help, labelNames = []) =>
+  new client.Counter({ name, help, labelNames, registers: [register] });
+
+const httpRequestsTotal = counter(
+  'http_requests_total',
+  'HTTP requests handled',
+  ['method', 'route', 'status_code']
+);
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+// Uses the route pattern (/orders/:id) rather than the URL so label
+// cardinality stays bounded. Proxied and unmatched requests fall back to the
+// mount path.
+const routeLabel = (req) => {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  return req.baseUrl || 'unmatched';
+};
+
+const httpMetrics = (req, res, next) => {
+  if (req.path === '/metrics') {
+    return next();
+  }
+
+  const endTimer = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req), status_code: res.statusCode };
+    endTimer(labels);
+    httpRequestsTotal.inc(labels);
+  });
+  next();
+};
+
+// Pool saturation: connections in use vs. the configured maximum, and
+// callers queued waiting for a connection
+const trackPool = (pool) => {
+  new client.Gauge({
+    name: 'db_pool_connections',
+    help: 'Database pool connections by state',
+    labelNames: ['state'],
+    registers: [register],
+    collect() {
+      this.set({ state: 'total' }, pool.totalCount);
+      this.set({ state: 'idle' }, pool.idleCount);
+      this.set({ state: 'active' }, pool.totalCount - pool.idleCount);
+    }
+  });
+
+  new client.Gauge({
+    name: 'db_pool_waiting_clients',
+    help: 'Queries waiting for a free database connection',
+    registers: [register],
+    collect() {
+      this.set(pool.waitingCount);
+    }
+  });
+
+  new client.Gauge({
+    name: 'db_pool_max_connections',
+    help: 'Configured maximum size of the database pool',
+    registers: [register],
+    collect() {
+      this.set(pool.options.max);
+    }
+  });
+};
+
+const metricsHandler = async (req, res) => {
+  try {
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+  } catch (error) {
+    res.status(500).end(error.message);
+  }
+};
+
+module.exports = {
+  register,
+  counter,
+  httpMetrics,
+  trackPool,
+  metricsHandler
+};
@@ -0,0 +1,249 @@
+const express = require('express');
+const { Joi, validate, id } = require('./validation');
+const { getRequestContext } = require('./requestContext');
+const { counter } = require('./metrics');
+
+// Runtime fault injection for failure-scenario testing. Faults are rules
+// matched against each request by path prefix and method:
+//   latency     delays the request by latency_ms (+ up to jitter_ms)
+//   error       answers with status instead of running the route
+//   db_failure  makes every database call made by the request fail
+//   memory      allocates memory_mb for hold_ms
+//   cpu         keeps the event loop busy for cpu_ms
+// Rules come from the FAULTS environment variable (a JSON array) and from the
+// admin API. Nothing is injected unless FAULT_INJECTION_ENABLED=true.
+const enabled = process.env.FAULT_INJECTION_ENABLED === 'true';
+
+const MAX_MEMORY_MB = parseInt(process.env.FAULT_MAX_MEMORY_MB, 10) || 512;
+
+const FAULT_TYPES = ['latency', 'error', 'db_failure', 'memory', 'cpu'];
+
+// Not affected by faults so they can always be inspected and turned off
+const EXEMPT_PATHS = ['/metrics', '/admin/faults', '/api/admin/faults'];
+
+const faultsInjected = counter('faults_injected_total', 'Faults injected into requests', ['type']);
+
+const onlyFor = (type, schema) => Joi.when('type', { is: type, then: schema.required(), otherwise: Joi.forbidden() });
+
+const faultSchema = Joi.object({
+  type: Joi.string().valid(...FAULT_TYPES).required(),
+  route: Joi.string().trim().pattern(/^(\*|\/.*)$/).default('*'),
+  method: Joi.string().uppercase().valid('GET', 'POST', 'PUT', 'PATCH', 'DELETE'),
+  probability: Joi.number().min(0).max(1).default(1),
+  latency_ms: onlyFor('latency', Joi.number().integer().min(1).max(60000)),
+  jitter_ms: Joi.when('type', { is: 'latency', then: Joi.number().integer().min(0).max(60000).default(0), otherwise: Joi.forbidden() }),
+  status: Joi.when('type', { is: 'error', then: Joi.number().integer().min(400).max(599).default(500), otherwise: Joi.forbidden() }),
+  memory_mb: onlyFor('memory', Joi.number().integer().min(1).max(MAX_MEMORY_MB)),
+  hold_ms: Joi.when('type', { is: 'memory', then: Joi.number().integer().min(1).max(600000).default(30000), otherwise: Joi.forbidden() }),
+  cpu_ms: onlyFor('cpu', Joi.number().integer().min(1).max(10000)),
+  duration_seconds: Joi.number().integer().min(1).max(86400)
+});
+
+let faults = [];
+let nextId = 1;
+
+// Buffers held by memory faults, each released when its hold_ms elapses
+const ballast = new Set();
+let retainedMb = 0;
+
+const addFault = (rule) => {
+  const { duration_seconds: durationSeconds, ...fields } = rule;
+  const fault = {
+    id: nextId++,
+    ...fields,
+    created_at: new Date().toISOString(),
+    expires_at: durationSeconds ? new Date(Date.now() + durationSeconds * 1000).toISOString() : null
+  };
+  faults.push(fault);
+  return fault;
+};
+
+const activeFaults = () => {
+  const now = new Date().toISOString();
+  faults = faults.filter(fault => !fault.expires_at || fault.expires_at > now);
+  return faults;
+};
+
+const matches = (fault, req) =>
+  (fault.route === '*' || req.path.startsWith(fault.route)) &&
+  (!fault.method || fault.method === req.method) &&
+  Math.random() < fault.probability;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const burnCpu = (ms) => {
+  const until = Date.now() + ms;
+  while (Date.now() < until) {
+    // busy wait
+  }
+};
+
+const retainMemory = (mb, holdMs) => {
+  const grant = Math.min(mb, MAX_MEMORY_MB - retainedMb);
+  if (grant <= 0) {
+    return;
+  }
+  // fill() touches every page so the allocation actually counts as resident
+  const buffer = Buffer.alloc(grant * 1024 * 1024).fill(1);
+  ballast.add(buffer);
+  retainedMb += grant;
+  setTimeout(() => {
+    ballast.delete(buffer);
+    retainedMb -= grant;
+  }, holdMs).unref();
+};
+
+const injectedError = (fault) => ({
+  error: 'Injected fault',
+  code: 'FAULT_INJECTED',
+  fault_id: fault.id
+});
+
+// Must run inside the request context (after requestContext) so db_failure
+// faults reach the wrapped pool
+const faultInjection = async (req, res, next) => {
+  if (!enabled || EXEMPT_PATHS.some(path => req.path.startsWith(path))) {
+    return next();
+  }
+
+  const triggered = activeFaults().filter(fault => matches(fault, req));
+
+  try {
+    for (const fault of triggered) {
+      faultsInjected.inc({ type: fault.type });
+
+      switch (fault.type) {
+        case 'latency':
+          await sleep(fault.latency_ms + Math.floor(Math.random() * (fault.jitter_ms + 1)));
+          break;
+        case 'cpu':
+          burnCpu(fault.cpu_ms);
+          break;
+        case 'memory':
+          retainMemory(fault.memory_mb, fault.hold_ms);
+          break;
+        case 'db_failure':
+          getRequestContext().dbFault = fault;
+          break;
+        case 'error':
+          return res.status(fault.status).json(injectedError(fault));
+        default:
+          break;
+      }
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  next();
+};
+
+const dbFaultError = (fault) => {
+  const error = new Error(`Injected database failure (fault ${fault.id})`);
+  error.code = 'FAULT_INJECTED';
+  return error;
+};
+
+// Makes pool.query and pool.connect fail for requests hit by a db_failure
+// fault. Routes see the same kind of rejection as a real outage.
+const wrapPool = (pool) => {
+  const query = pool.query.bind(pool);
+  const connect = pool.connect.bind(pool);
+
+  pool.query = (...args) => {
+    const fault = getRequestContext().dbFault;
+    return fault ? Promise.reject(dbFaultError(fault)) : query(...args);
+  };
+
+  // pg-pool calls connect with a callback internally, so support both styles
+  pool.connect = (callback) => {
+    const fault = getRequestContext().dbFault;
+    if (!fault) {
+      return connect(callback);
+    }
+    if (callback) {
+      process.nextTick(() => callback(dbFaultError(fault)));
+      return undefined;
+    }
+    return Promise.reject(dbFaultError(fault));
+  };
+
+  return pool;
+};
+
+// Faults from the FAULTS environment variable, applied at startup
+const loadFaultsFromEnv = (logger) => {
+  if (!enabled || !process.env.FAULTS) {
+    return;
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(process.env.FAULTS);
+  } catch (error) {
+    logger.error('FAULTS is not valid JSON, no faults loaded');
+    return;
+  }
+
+  (Array.isArray(rules) ? rules : [rules]).forEach(rule => {
+    const { error, value } = faultSchema.validate(rule, { stripUnknown: true });
+    if (error) {
+      logger.error(`Ignoring fault from FAULTS: ${error.message}`);
+      return;
+    }
+    const fault = addFault(value);
+    logger.warn('Fault injection rule loaded from environment', { fault });
+  });
+};
+
+// GET / lists, POST / adds, DELETE /:id removes and DELETE / clears the
+// rules. Callers pass the middleware that restricts access to admins.
+const faultAdminRouter = (logger, ...authorize) => {
+  const router = express.Router();
+
+  router.use(...authorize, express.json());
+
+  router.use((req, res, next) => {
+    if (!enabled) {
+      return res.status(404).json({ error: 'Fault injection is disabled' });
+    }
+    next();
+  });
+
+  router.get('/', (req, res) => {
+    res.json({ faults: activeFaults(), retained_memory_mb: retainedMb });
+  });
+
+  router.post('/', validate({ body: faultSchema }), (req, res) => {
+    const fault = addFault(req.body);
+    logger.warn('Fault injection rule added', { fault });
+    res.status(201).json(fault);
+  });
+
+  router.delete('/:id', validate({ params: Joi.object({ id: id.required() }) }), (req, res) => {
+    const before = faults.length;
+    faults = faults.filter(fault => fault.id !== req.params.id);
+    if (faults.length === before) {
+      return res.status(404).json({ error: 'Fault not found' });
+    }
+    logger.warn(`Fault injection rule ${req.params.id} removed`);
+    res.json({ message: 'Fault removed' });
+  });
+
+  router.delete('/', (req, res) => {
+    const removed = faults.length;
+    faults = [];
+    logger.warn(`All fault injection rules cleared (${removed})`);
+    res.json({ message: 'Faults cleared', removed });
+  });
+
+  return router;
+};
+
+module.exports = {
+  enabled,
+  faultInjection,
+  wrapPool,
+  loadFaultsFromEnv,
+  faultAdminRouter
+};
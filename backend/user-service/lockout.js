@@ -0,0 +1,162 @@
+// Failed login tracking per account (keyed by email, whether or not the
+// account exists) and per client IP. Repeated failures first add a growing
+// delay before the next attempt is accepted, then lock the key for a while.
+
+const settings = {
+  windowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10),
+  delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES || '3', 10),
+  baseDelaySeconds: parseInt(process.env.LOGIN_BASE_DELAY_SECONDS || '1', 10),
+  maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS || '30', 10),
+  account: {
+    threshold: parseInt(process.env.ACCOUNT_LOCKOUT_THRESHOLD || '10', 10),
+    lockMinutes: parseInt(process.env.ACCOUNT_LOCKOUT_MINUTES || '15', 10)
+  },
+  ip: {
+    threshold: parseInt(process.env.IP_LOCKOUT_THRESHOLD || '50', 10),
+    lockMinutes: parseInt(process.env.IP_LOCKOUT_MINUTES || '15', 10)
+  }
+};
+
+const accountKey = (email) => String(email).trim().toLowerCase();
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date) - Date.now()) / 1000));
+
+// Audit events go to the database and to the log stream as structured
+// entries tagged audit=true for the log pipeline
+const recordAuditEvent = async (pool, logger, event) => {
+  const { event_type, user_id = null, email = null, ip = null, ...details } = event;
+
+  logger.warn(`Security audit: ${event_type}`, { audit: true, event_type, user_id, email, ip, ...details });
+
+  try {
+    await pool.query(
+      'INSERT INTO security_audit_log (event_type, user_id, email, ip, details) VALUES ($1, $2, $3, $4, $5)',
+      [event_type, user_id, email, ip, details]
+    );
+  } catch (error) {
+    logger.error('Failed to persist security audit event:', error);
+  }
+};
+
+// Returns null when the attempt may proceed, otherwise why it is refused and
+// how many seconds until it may be retried
+const checkLoginAllowed = async (pool, { email, ip }) => {
+  const result = await pool.query(
+    `SELECT scope, locked_until, next_attempt_at FROM login_throttle
+     WHERE (scope = 'account' AND key = $1) OR (scope = 'ip' AND key = $2)`,
+    [accountKey(email), ip]
+  );
+
+  const now = new Date();
+  for (const row of result.rows) {
+    if (row.locked_until && new Date(row.locked_until) > now) {
+      return { reason: 'locked', scope: row.scope, retryAfter: secondsUntil(row.locked_until) };
+    }
+  }
+  for (const row of result.rows) {
+    if (row.next_attempt_at && new Date(row.next_attempt_at) > now) {
+      return { reason: 'throttled', scope: row.scope, retryAfter: secondsUntil(row.next_attempt_at) };
+    }
+  }
+  return null;
+};
+
+const registerFailure = async (pool, scope, key) => {
+  const { threshold, lockMinutes } = settings[scope];
+
+  // Failures older than the window start a fresh count, and so does the first
+  // failure after a lock ran out: the lock already paid for the failures
+  // before it, so one typo afterwards must not lock the key again
+  const result = await pool.query(
+    `INSERT INTO login_throttle (scope, key, failed_count, last_failed_at)
+     VALUES ($1, $2, 1, NOW())
+     ON CONFLICT (scope, key) DO UPDATE SET
+       failed_count = CASE
+         WHEN login_throttle.last_failed_at < NOW() - make_interval(mins => $3)
+           OR login_throttle.locked_until <= NOW() THEN 1
+         ELSE login_throttle.failed_count + 1
+       END,
+       locked_until = CASE WHEN login_throttle.locked_until <= NOW() THEN NULL ELSE login_throttle.locked_until END,
+       last_failed_at = NOW()
+     RETURNING failed_count`,
+    [scope, key, settings.windowMinutes]
+  );
+
+  const failedCount = result.rows[0].failed_count;
+  const locked = failedCount >= threshold;
+  const delaySeconds = failedCount >= settings.delayAfter
+    ? Math.min(settings.baseDelaySeconds * 2 ** (failedCount - settings.delayAfter), settings.maxDelaySeconds)
+    : 0;
+
+  await pool.query(
+    `UPDATE login_throttle SET
+       next_attempt_at = NOW() + make_interval(secs => $3),
+       locked_until = CASE WHEN $4 THEN NOW() + make_interval(mins => $5) ELSE locked_until END
+     WHERE scope = $1 AND key = $2`,
+    [scope, key, delaySeconds, locked, lockMinutes]
+  );
+
+  return { failedCount, locked, newlyLocked: failedCount === threshold, lockMinutes };
+};
+
+const recordLoginFailure = async (pool, logger, { email, userId = null, ip }) => {
+  const account = await registerFailure(pool, 'account', accountKey(email));
+  const client = await registerFailure(pool, 'ip', ip);
+
+  if (account.newlyLocked) {
+    await recordAuditEvent(pool, logger, {
+      event_type: 'account_locked',
+      user_id: userId,
+      email: accountKey(email),
+      ip,
+      failed_attempts: account.failedCount,
+      locked_minutes: account.lockMinutes
+    });
+  }
+
+  if (client.newlyLocked) {
+    await recordAuditEvent(pool, logger, {
+      event_type: 'ip_blocked',
+      email: accountKey(email),
+      ip,
+      failed_attempts: client.failedCount,
+      locked_minutes: client.lockMinutes
+    });
+  }
+};
+
+// A successful login clears the account's failures but not the IP's, so one
+// valid account cannot be used to reset a credential-stuffing source
+const recordLoginSuccess = async (pool, { email }) => {
+  await pool.query(
+    "DELETE FROM login_throttle WHERE scope = 'account' AND key = $1",
+    [accountKey(email)]
+  );
+};
+
+const unlockAccount = async (pool, logger, { user, actorId, ip }) => {
+  const result = await pool.query(
+    "DELETE FROM login_throttle WHERE scope = 'account' AND key = $1 RETURNING locked_until",
+    [accountKey(user.email)]
+  );
+  const wasLocked = result.rows.some(row => row.locked_until && new Date(row.locked_until) > new Date());
+
+  await recordAuditEvent(pool, logger, {
+    event_type: 'account_unlocked',
+    user_id: user.id,
+    email: accountKey(user.email),
+    ip,
+    unlocked_by: actorId,
+    was_locked: wasLocked
+  });
+
+  return wasLocked;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  recordAuditEvent
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+
+// A transport is any object with send({ from, to, subject, text }) returning a
+// promise. Select one with MAIL_TRANSPORT; an SMTP transport only needs to
+// implement the same method.
+
+const createConsoleTransport = (logger) => ({
+  name: 'console',
+  send: async (message) => {
+    logger.info('Outgoing email', { mail: message });
+  }
+});
+
+// Appends one JSON document per line so local tooling can tail the outbox
+const createFileTransport = (filePath) => ({
+  name: 'file',
+  send: async (message) => {
+    const entry = JSON.stringify({ ...message, sent_at: new Date().toISOString() });
+    await fs.promises.appendFile(filePath, entry + '\n');
+  }
+});
+
+const createTransport = (logger) => {
+  const transport = process.env.MAIL_TRANSPORT || 'console';
+
+  switch (transport) {
+    case 'console':
+      return createConsoleTransport(logger);
+    case 'file':
+      return createFileTransport(process.env.MAIL_FILE || 'mail-outbox.log');
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${transport}`);
+  }
+};
+
+const createMailer = (logger, transport = createTransport(logger)) => {
+  const from = process.env.MAIL_FROM || 'no-reply@ecommerce-demo.local';
+  const appUrl = process.env.APP_BASE_URL || 'http://localhost:3000';
+
+  const send = async (message) => {
+    await transport.send({ from, ...message });
+    logger.info(`Email "${message.subject}" sent to ${message.to} via ${transport.name} transport`);
+  };
+
+  return {
+    send,
+
+    sendVerificationEmail: (user, token) => send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.username},\n\nConfirm your email address by opening the link below:\n\n` +
+        `${appUrl}/login?mode=verify&token=${encodeURIComponent(token)}\n\n` +
+        'If you did not create an account you can ignore this message.'
+    }),
+
+    sendPasswordResetEmail: (user, token) => send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.username},\n\nReset your password by opening the link below:\n\n` +
+        `${appUrl}/login?mode=reset&token=${encodeURIComponent(token)}\n\n` +
+        'The link expires shortly. If you did not request a reset you can ignore this message.'
+    })
+  };
+};
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createMailer
+};
@@ -0,0 +1,117 @@
+const { Joi, id } = require('./validation');
+
+const ROLES = ['customer', 'admin', 'support'];
+
+const email = Joi.string().trim().lowercase().email().max(100);
+const password = Joi.string().min(6).max(128);
+const username = Joi.string().trim().min(3).max(50);
+
+const address = {
+  label: Joi.string().trim().max(50).allow('', null),
+  name: Joi.string().trim().max(100).required(),
+  street: Joi.string().trim().max(255).required(),
+  city: Joi.string().trim().max(100).required(),
+  postal_code: Joi.string().trim().max(20).required(),
+  country: Joi.string().trim().max(100).required()
+};
+
+module.exports = {
+  ROLES,
+
+  userParams: {
+    params: Joi.object({ id: id.required() })
+  },
+
+  register: {
+    body: Joi.object({
+      username: username.required(),
+      email: email.required(),
+      password: password.required()
+    })
+  },
+
+  login: {
+    body: Joi.object({
+      email: email.required(),
+      password: Joi.string().required()
+    })
+  },
+
+  refreshToken: {
+    body: Joi.object({
+      refreshToken: Joi.string().required()
+    })
+  },
+
+  logout: {
+    body: Joi.object({
+      refreshToken: Joi.string()
+    })
+  },
+
+  emailToken: {
+    body: Joi.object({
+      token: Joi.string().required()
+    })
+  },
+
+  emailOnly: {
+    body: Joi.object({
+      email: email.required()
+    })
+  },
+
+  passwordResetConfirm: {
+    body: Joi.object({
+      token: Joi.string().required(),
+      password: password.required()
+    })
+  },
+
+  updateProfile: {
+    body: Joi.object({
+      username,
+      email
+    }).or('username', 'email')
+  },
+
+  changePassword: {
+    body: Joi.object({
+      currentPassword: Joi.string().required(),
+      newPassword: password.required()
+    })
+  },
+
+  deleteProfile: {
+    body: Joi.object({
+      password: Joi.string().required()
+    })
+  },
+
+  createAddress: {
+    body: Joi.object({
+      ...address,
+      is_default: Joi.boolean()
+    })
+  },
+
+  updateAddress: {
+    params: Joi.object({ addressId: id.required() }),
+    body: Joi.object(address)
+  },
+
+  addressParams: {
+    params: Joi.object({ addressId: id.required() })
+  },
+
+  updateRole: {
+    params: Joi.object({ id: id.required() }),
+    body: Joi.object({
+      role: Joi.string().valid(...ROLES).required()
+    })
+  },
+
+  tokenParams: {
+    params: Joi.object({ jti: Joi.string().guid().required() })
+  }
+};
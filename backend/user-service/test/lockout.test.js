@@ -0,0 +1,120 @@
+const lockout = require('../lockout');
+const { createTestDatabase } = require('../../test/db');
+
+const logger = { warn: () => {}, error: () => {} };
+
+const attempt = { email: 'Someone@Example.com', ip: '10.0.0.1' };
+
+let db;
+
+const failTimes = async (times, credentials = attempt) => {
+  for (let i = 0; i < times; i++) {
+    await lockout.recordLoginFailure(db.pool, logger, credentials);
+  }
+};
+
+const throttleRow = async (scope, key) =>
+  (await db.pool.query('SELECT * FROM login_throttle WHERE scope = $1 AND key = $2', [scope, key])).rows[0];
+
+const auditEvents = async () =>
+  (await db.pool.query('SELECT * FROM security_audit_log ORDER BY id')).rows;
+
+beforeAll(async () => {
+  db = await createTestDatabase();
+});
+
+beforeEach(async () => {
+  await db.reset();
+});
+
+afterAll(async () => {
+  await db.close();
+});
+
+describe('login lockout', () => {
+  it('lets the first failures through without delay', async () => {
+    await failTimes(2);
+
+    expect(await lockout.checkLoginAllowed(db.pool, attempt)).toBeNull();
+  });
+
+  it('throttles with a delay that doubles per failure, up to the maximum', async () => {
+    await failTimes(3);
+    expect(await lockout.checkLoginAllowed(db.pool, attempt)).toEqual({ reason: 'throttled', scope: 'account', retryAfter: 1 });
+
+    await failTimes(2);
+    expect((await lockout.checkLoginAllowed(db.pool, attempt)).retryAfter).toBe(4);
+
+    await failTimes(4);
+    expect((await lockout.checkLoginAllowed(db.pool, attempt)).retryAfter).toBeLessThanOrEqual(30);
+  });
+
+  it('locks the account at the threshold and audits it once', async () => {
+    await failTimes(11);
+
+    const blocked = await lockout.checkLoginAllowed(db.pool, attempt);
+    expect(blocked).toMatchObject({ reason: 'locked', scope: 'account' });
+    expect(blocked.retryAfter).toBeGreaterThan(14 * 60);
+    expect((await auditEvents()).filter(event => event.event_type === 'account_locked')).toHaveLength(1);
+  });
+
+  it('counts the account by normalized email, whether or not it exists', async () => {
+    await failTimes(3, { email: ' someone@example.COM ', ip: '10.0.0.2' });
+
+    expect(await lockout.checkLoginAllowed(db.pool, { email: 'someone@example.com', ip: '10.0.0.3' }))
+      .toMatchObject({ reason: 'throttled', scope: 'account' });
+  });
+
+  it('starts a fresh count once the failures are older than the window', async () => {
+    await failTimes(9);
+    await db.pool.query("UPDATE login_throttle SET last_failed_at = NOW() - INTERVAL '16 minutes'");
+
+    await failTimes(1);
+
+    expect((await throttleRow('account', 'someone@example.com')).failed_count).toBe(1);
+    expect(await auditEvents()).toHaveLength(0);
+  });
+
+  it('starts a fresh count once a lock has run out', async () => {
+    await failTimes(10);
+    await db.pool.query("UPDATE login_throttle SET locked_until = NOW() - INTERVAL '1 second', next_attempt_at = NULL");
+
+    await failTimes(1);
+
+    expect(await lockout.checkLoginAllowed(db.pool, attempt)).toBeNull();
+    expect(await throttleRow('account', 'someone@example.com')).toMatchObject({ failed_count: 1, locked_until: null });
+
+    // A full run of failures locks the key again
+    await failTimes(9);
+    expect(await lockout.checkLoginAllowed(db.pool, attempt)).toMatchObject({ reason: 'locked', scope: 'account' });
+    expect((await auditEvents()).filter(event => event.event_type === 'account_locked')).toHaveLength(2);
+  });
+
+  it('clears the account on success but keeps counting the IP', async () => {
+    await failTimes(3);
+
+    await lockout.recordLoginSuccess(db.pool, attempt);
+
+    expect(await throttleRow('account', 'someone@example.com')).toBeUndefined();
+    expect((await throttleRow('ip', '10.0.0.1')).failed_count).toBe(3);
+    expect(await lockout.checkLoginAllowed(db.pool, attempt)).toMatchObject({ reason: 'throttled', scope: 'ip' });
+  });
+
+  it('unlocks a locked account and records who did it', async () => {
+    await failTimes(10);
+
+    const wasLocked = await lockout.unlockAccount(db.pool, logger, {
+      user: { id: 3, email: attempt.email },
+      actorId: 1,
+      ip: '10.0.0.9'
+    });
+
+    expect(wasLocked).toBe(true);
+    expect(await lockout.checkLoginAllowed(db.pool, { ...attempt, ip: '10.0.0.9' })).toBeNull();
+    expect((await auditEvents()).pop()).toMatchObject({
+      event_type: 'account_unlocked',
+      user_id: 3,
+      details: { unlocked_by: 1, was_locked: true }
+    });
+  });
+});
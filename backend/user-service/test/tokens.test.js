@@ -0,0 +1,129 @@
+const tokens = require('../tokens');
+const { createTestDatabase } = require('../../test/db');
+
+let db;
+let user;
+
+const storedTokens = async () =>
+  (await db.pool.query('SELECT * FROM refresh_tokens ORDER BY id')).rows;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-secret';
+  db = await createTestDatabase();
+});
+
+beforeEach(async () => {
+  await db.reset();
+  user = await db.insertUser();
+});
+
+afterAll(async () => {
+  await db.close();
+});
+
+describe('access tokens', () => {
+  it('carry the user, role and a unique jti', () => {
+    const support = { id: 7, email: 'a@example.com', role: 'support' };
+    const first = tokens.verifyAccessToken(tokens.issueAccessToken(support));
+    const second = tokens.verifyAccessToken(tokens.issueAccessToken(support));
+
+    expect(first).toMatchObject({ userId: 7, email: 'a@example.com', role: 'support' });
+    expect(first.jti).toEqual(expect.any(String));
+    expect(first.jti).not.toBe(second.jti);
+  });
+
+  it('are refused once revoked', async () => {
+    const decoded = tokens.verifyAccessToken(tokens.issueAccessToken(user));
+
+    await tokens.revokeAccessToken(db.pool, decoded);
+    await tokens.revokeAccessToken(db.pool, decoded);
+
+    expect(await tokens.isAccessTokenRevoked(db.pool, decoded.jti)).toBe(true);
+  });
+});
+
+describe('rotateRefreshToken', () => {
+  it('replaces the token with a new one from the same family', async () => {
+    const { refreshToken } = await tokens.issueRefreshToken(db.pool, user.id);
+
+    const rotated = await tokens.rotateRefreshToken(db.pool, refreshToken);
+
+    expect(rotated.userId).toBe(user.id);
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    const [old, next] = await storedTokens();
+    expect(old.revoked_at).not.toBeNull();
+    expect(old.replaced_by).toBe(next.id);
+    expect(next.family_id).toBe(old.family_id);
+    expect(next.revoked_at).toBeNull();
+  });
+
+  it('stores only a hash of the token', async () => {
+    const { refreshToken } = await tokens.issueRefreshToken(db.pool, user.id);
+
+    const [stored] = await storedTokens();
+    expect(stored.token_hash).toHaveLength(64);
+    expect(stored.token_hash).not.toContain(refreshToken);
+  });
+
+  it('revokes the whole family when a rotated token is presented again', async () => {
+    const { refreshToken } = await tokens.issueRefreshToken(db.pool, user.id);
+    const rotated = await tokens.rotateRefreshToken(db.pool, refreshToken);
+
+    const reused = await tokens.rotateRefreshToken(db.pool, refreshToken);
+
+    expect(reused).toEqual({ error: 'reused', userId: user.id });
+    expect((await storedTokens()).every(row => row.revoked_at)).toBe(true);
+    // The legitimate holder of the newest token is logged out as well
+    expect(await tokens.rotateRefreshToken(db.pool, rotated.refreshToken)).toEqual({ error: 'reused', userId: user.id });
+  });
+
+  it('leaves other families alone on reuse', async () => {
+    const { refreshToken } = await tokens.issueRefreshToken(db.pool, user.id);
+    const otherDevice = await tokens.issueRefreshToken(db.pool, user.id);
+    await tokens.rotateRefreshToken(db.pool, refreshToken);
+
+    await tokens.rotateRefreshToken(db.pool, refreshToken);
+
+    expect((await tokens.rotateRefreshToken(db.pool, otherDevice.refreshToken)).error).toBeUndefined();
+  });
+
+  it('lets only one of two concurrent rotations of the same token through', async () => {
+    const { refreshToken } = await tokens.issueRefreshToken(db.pool, user.id);
+
+    const results = await Promise.all([
+      tokens.rotateRefreshToken(db.pool, refreshToken),
+      tokens.rotateRefreshToken(db.pool, refreshToken)
+    ]);
+
+    // The row lock makes the second one see the first one's rotation
+    expect(results.filter(result => result.refreshToken)).toHaveLength(1);
+    expect(results.filter(result => result.error === 'reused')).toHaveLength(1);
+  });
+
+  it('rejects unknown and expired tokens', async () => {
+    const { refreshToken } = await tokens.issueRefreshToken(db.pool, user.id);
+    await db.pool.query("UPDATE refresh_tokens SET expires_at = NOW() - INTERVAL '1 second'");
+
+    expect(await tokens.rotateRefreshToken(db.pool, 'not-a-token')).toEqual({ error: 'invalid' });
+    expect(await tokens.rotateRefreshToken(db.pool, refreshToken)).toEqual({ error: 'expired' });
+    expect(await storedTokens()).toHaveLength(1);
+  });
+});
+
+describe('revokeRefreshToken', () => {
+  it('ends the session of the token, for its user or anyone holding it', async () => {
+    const first = await tokens.issueRefreshToken(db.pool, user.id);
+    const second = await tokens.issueRefreshToken(db.pool, user.id);
+
+    await tokens.revokeRefreshToken(db.pool, user.id + 1, first.refreshToken);
+    expect((await storedTokens())[0].revoked_at).toBeNull();
+
+    await tokens.revokeRefreshToken(db.pool, null, first.refreshToken);
+
+    const [revoked, other] = await storedTokens();
+    expect(revoked.revoked_at).not.toBeNull();
+    expect(other.revoked_at).toBeNull();
+    expect((await tokens.rotateRefreshToken(db.pool, first.refreshToken)).error).toBeDefined();
+    expect((await tokens.rotateRefreshToken(db.pool, second.refreshToken)).userId).toBe(user.id);
+  });
+});
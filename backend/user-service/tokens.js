@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '7', 10);
+
+// Lifetime of single-use email tokens, in minutes
+const EMAIL_TOKEN_TTL = {
+  verify_email: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES || '1440', 10),
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10)
+};
+
+const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+// Refresh tokens are opaque random strings; only their hash is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const issueAccessToken = (user) => {
+  return jwt.sign(
+    { userId: user.id, email: user.email, role: user.role },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+};
+
+const verifyAccessToken = (token) => jwt.verify(token, getJwtSecret());
+
+const issueRefreshToken = async (db, userId, familyId = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const result = await db.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(days => $4)) RETURNING id`,
+    [userId, hashToken(refreshToken), familyId, REFRESH_TOKEN_TTL_DAYS]
+  );
+  return { refreshToken, id: result.rows[0].id };
+};
+
+// Exchanges a refresh token for a new one from the same family. Presenting a
+// token that was already rotated means it leaked, so the whole family is revoked.
+const rotateRefreshToken = async (pool, refreshToken) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT * FROM refresh_tokens WHERE token_hash = $1 FOR UPDATE',
+      [hashToken(refreshToken)]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { error: 'invalid' };
+    }
+
+    const stored = result.rows[0];
+
+    if (stored.revoked_at) {
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+        [stored.family_id]
+      );
+      await client.query('COMMIT');
+      return { error: 'reused', userId: stored.user_id };
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+      await client.query('ROLLBACK');
+      return { error: 'expired' };
+    }
+
+    const next = await issueRefreshToken(client, stored.user_id, stored.family_id);
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $1 WHERE id = $2',
+      [next.id, stored.id]
+    );
+
+    await client.query('COMMIT');
+    return { userId: stored.user_id, refreshToken: next.refreshToken };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// With a null userId, any user's token is revoked: holding the token is
+// enough to end its session
+const revokeRefreshToken = async (db, userId, refreshToken) => {
+  await db.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW()
+     WHERE token_hash = $1 AND ($2::int IS NULL OR user_id = $2) AND revoked_at IS NULL`,
+    [hashToken(refreshToken), userId]
+  );
+};
+
+const revokeAllRefreshTokens = async (db, userId) => {
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+};
+
+// Access tokens are revoked by jti until they would have expired anyway
+const revokeAccessToken = async (db, decoded) => {
+  await db.query('DELETE FROM revoked_tokens WHERE expires_at < NOW()');
+  await db.query(
+    `INSERT INTO revoked_tokens (jti, user_id, expires_at)
+     VALUES ($1, $2, to_timestamp($3)) ON CONFLICT (jti) DO NOTHING`,
+    [decoded.jti, decoded.userId, decoded.exp]
+  );
+};
+
+const isAccessTokenRevoked = async (db, jti) => {
+  const result = await db.query('SELECT 1 FROM revoked_tokens WHERE jti = $1', [jti]);
+  return result.rows.length > 0;
+};
+
+// Issuing a new email token invalidates any unused one for the same purpose
+const issueEmailToken = async (db, userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.query(
+    'UPDATE email_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+  await db.query(
+    `INSERT INTO email_tokens (user_id, token_hash, purpose, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+    [userId, hashToken(token), purpose, EMAIL_TOKEN_TTL[purpose]]
+  );
+
+  return token;
+};
+
+// Marks the token used and returns its user id, or null if it is unknown,
+// expired or already used
+const consumeEmailToken = async (db, token, purpose) => {
+  const result = await db.query(
+    `UPDATE email_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  getJwtSecret,
+  issueAccessToken,
+  verifyAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+  issueEmailToken,
+  consumeEmailToken
+};
@@ -7,6 +7,8 @@ CREATE TABLE IF NOT EXISTS users (
     username VARCHAR(50) UNIQUE NOT NULL,
     email VARCHAR(100) UNIQUE NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'customer' CHECK (role IN ('customer', 'admin', 'support')),
+    email_verified BOOLEAN NOT NULL DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -17,7 +19,10 @@ CREATE TABLE IF NOT EXISTS products (
     name VARCHAR(100) NOT NULL,
     description TEXT,
     price DECIMAL(10,2) NOT NULL,
-    stock_quantity INTEGER DEFAULT 0,
+    -- Available stock; quantities reserved by open orders are already taken off
+    stock_quantity INTEGER DEFAULT 0 CHECK (stock_quantity >= 0),
+    image_url VARCHAR(500),
+    category VARCHAR(50),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -25,13 +30,18 @@ CREATE TABLE IF NOT EXISTS products (
 -- Create orders table
 CREATE TABLE IF NOT EXISTS orders (
     id SERIAL PRIMARY KEY,
-    user_id INTEGER NOT NULL,
+    -- Orders outlive deleted accounts. No foreign key: order-service clears
+    -- the user and address itself when user-service publishes UserDeleted.
+    user_id INTEGER,
     total_amount DECIMAL(10,2) NOT NULL,
     shipping_address TEXT,
+    -- Structured copy of the address at the time the order was placed
+    shipping_address_details JSONB,
     status VARCHAR(50) DEFAULT 'pending',
+    -- Kept in sync by payment-service; the order is refunded once it covers the total
+    amount_refunded DECIMAL(10,2) NOT NULL DEFAULT 0,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Create order_items table
@@ -46,6 +56,93 @@ CREATE TABLE IF NOT EXISTS order_items (
     FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
 );
 
+-- Create order_status_history table (every status an order went through, see
+-- order-service orderLifecycle.js)
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    -- NULL for the status the order was created with
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    -- User who made the change; NULL for changes made by the system
+    changed_by INTEGER,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id);
+
+-- Create return_requests table (returns of delivered orders, see order-service returns.js)
+CREATE TABLE IF NOT EXISTS return_requests (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    -- Cleared on UserDeleted, like the order's
+    user_id INTEGER,
+    -- requested -> approved -> refunded once the items are received, or rejected
+    status VARCHAR(20) NOT NULL DEFAULT 'requested',
+    reason VARCHAR(50) NOT NULL,
+    comment TEXT,
+    -- Staff member who approved or rejected the return, and why it was rejected
+    reviewed_by INTEGER,
+    resolution_note VARCHAR(255),
+    received_at TIMESTAMP,
+    refund_amount DECIMAL(10,2),
+    -- Refund in payment-service
+    refund_id INTEGER,
+    -- Declined refund attempts; each retry is a new refund request
+    failed_refunds INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_requests_order_id ON return_requests(order_id);
+CREATE INDEX IF NOT EXISTS idx_return_requests_status ON return_requests(status);
+
+-- Create return_items table (order items and quantities being returned)
+CREATE TABLE IF NOT EXISTS return_items (
+    id SERIAL PRIMARY KEY,
+    return_id INTEGER NOT NULL REFERENCES return_requests(id) ON DELETE CASCADE,
+    order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    UNIQUE (return_id, order_item_id)
+);
+
+-- Create stock_reservations table (stock held by product-service for an order)
+CREATE TABLE IF NOT EXISTS stock_reservations (
+    id SERIAL PRIMARY KEY,
+    -- No foreign key: the reservation is made while the order is still being inserted
+    order_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    -- reserved -> committed when the order ships, or released back to stock
+    status VARCHAR(20) NOT NULL DEFAULT 'reserved',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (order_id, product_id)
+);
+
+-- Create checkout_sagas table (progress of each checkout, see order-service checkout.js)
+CREATE TABLE IF NOT EXISTS checkout_sagas (
+    id SERIAL PRIMARY KEY,
+    -- Taken from the orders sequence when the checkout starts; the order row
+    -- is only written by the creating_order step
+    order_id INTEGER NOT NULL UNIQUE,
+    user_id INTEGER,
+    -- reserving_stock -> creating_order -> charging -> completed,
+    -- or compensating -> compensated when a step fails
+    state VARCHAR(30) NOT NULL,
+    -- Items with prices, total and shipping address; never the card number
+    payload JSONB NOT NULL,
+    failure_code VARCHAR(50),
+    failure_reason TEXT,
+    recovery_attempts INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Unfinished sagas, scanned by order-service's checkout recovery
+CREATE INDEX IF NOT EXISTS idx_checkout_sagas_open ON checkout_sagas(updated_at) WHERE state NOT IN ('completed', 'compensated');
+
 -- Create cart table
 CREATE TABLE IF NOT EXISTS cart (
     id SERIAL PRIMARY KEY,
@@ -64,17 +161,219 @@ CREATE TABLE IF NOT EXISTS payments (
     order_id INTEGER NOT NULL,
     amount DECIMAL(10,2) NOT NULL,
     payment_method VARCHAR(50),
+    -- pending while the provider authorizes it, then authorized, or failed
+    -- when declined; authorized -> captured | voided | expired;
+    -- captured -> refunded once refunds cover the full amount
     status VARCHAR(50) DEFAULT 'pending',
+    -- the order's earlier payments; with the order id it keys the request to
+    -- the provider, so a repeated request cannot authorize twice
+    attempt INTEGER NOT NULL DEFAULT 0,
     transaction_id VARCHAR(255),
+    provider VARCHAR(30),
+    decline_code VARCHAR(50),
+    card_last4 VARCHAR(4),
     processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    authorization_expires_at TIMESTAMP,
+    captured_at TIMESTAMP,
+    voided_at TIMESTAMP,
+    amount_refunded DECIMAL(10,2) NOT NULL DEFAULT 0,
+    -- capture, void or refund while payment-service waits for the provider;
+    -- other operations on the payment are refused until it is done
+    pending_operation VARCHAR(20),
+    operation_started_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
 );
 
+-- Open authorizations, scanned by payment-service's expiry sweep
+CREATE INDEX IF NOT EXISTS idx_payments_open_authorizations ON payments(authorization_expires_at) WHERE status = 'authorized';
+
+-- An order has at most one payment being authorized, authorized or captured.
+-- Inserting the pending payment claims the order before the provider is called.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_active_order ON payments(order_id) WHERE status IN ('pending', 'authorized', 'captured');
+
+-- Create refunds table (refund attempts against a captured payment)
+CREATE TABLE IF NOT EXISTS refunds (
+    id SERIAL PRIMARY KEY,
+    payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+    order_id INTEGER NOT NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    reason VARCHAR(255),
+    -- succeeded | failed; only succeeded refunds count towards amount_refunded
+    status VARCHAR(20) NOT NULL,
+    provider_reference VARCHAR(255),
+    decline_code VARCHAR(50),
+    requested_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_payment ON refunds(payment_id);
+
+-- Create addresses table (user address book)
+CREATE TABLE IF NOT EXISTS addresses (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    label VARCHAR(50),
+    name VARCHAR(100) NOT NULL,
+    street VARCHAR(255) NOT NULL,
+    city VARCHAR(100) NOT NULL,
+    postal_code VARCHAR(20) NOT NULL,
+    country VARCHAR(100) NOT NULL,
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- At most one default address per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_addresses_default ON addresses(user_id) WHERE is_default;
+
+-- Create refresh_tokens table (rotating refresh tokens, stored hashed)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    family_id UUID NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    replaced_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+
+-- Create revoked_tokens table (access tokens revoked before they expire)
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+    jti UUID PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create email_tokens table (single-use email verification and password reset tokens)
+CREATE TABLE IF NOT EXISTS email_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('verify_email', 'password_reset')),
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create login_throttle table (failed login tracking per account and per client IP)
+CREATE TABLE IF NOT EXISTS login_throttle (
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('account', 'ip')),
+    key VARCHAR(255) NOT NULL,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    last_failed_at TIMESTAMP,
+    next_attempt_at TIMESTAMP,
+    locked_until TIMESTAMP,
+    PRIMARY KEY (scope, key)
+);
+
+-- Create security_audit_log table (lockout and unlock events)
+CREATE TABLE IF NOT EXISTS security_audit_log (
+    id SERIAL PRIMARY KEY,
+    event_type VARCHAR(50) NOT NULL,
+    user_id INTEGER,
+    email VARCHAR(100),
+    ip VARCHAR(64),
+    details JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create idempotency_keys table (stored responses for Idempotency-Key retries)
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id SERIAL PRIMARY KEY,
+    scope VARCHAR(50) NOT NULL,
+    -- 0 for calls between services, which carry no user
+    user_id INTEGER NOT NULL DEFAULT 0,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    -- Both NULL while the first request is still running
+    response_status INTEGER,
+    response_body JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    UNIQUE (scope, user_id, idempotency_key)
+);
+
+-- Create webhook_subscriptions table (outbound webhooks, per publishing service)
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id SERIAL PRIMARY KEY,
+    service VARCHAR(50) NOT NULL,
+    url VARCHAR(2048) NOT NULL,
+    -- Event types to deliver; '*' means all of the service's events
+    event_types TEXT[] NOT NULL,
+    -- HMAC key for the X-Webhook-Signature header
+    secret VARCHAR(100) NOT NULL,
+    description VARCHAR(255),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create webhook_deliveries table (one row per event and subscription; the delivery log)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSON NOT NULL,
+    -- pending (queued or waiting for a retry) -> succeeded | failed
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP,
+    last_attempt_at TIMESTAMP,
+    last_response_status INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
+
+-- Create outbox_events table (domain events recorded with their change, relayed to the event bus)
+CREATE TABLE IF NOT EXISTS outbox_events (
+    id BIGSERIAL PRIMARY KEY,
+    event_id UUID NOT NULL UNIQUE,
+    -- Service that recorded the event; each service relays its own
+    source VARCHAR(50) NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    aggregate_type VARCHAR(50) NOT NULL,
+    aggregate_id VARCHAR(100) NOT NULL,
+    -- The event envelope exactly as published
+    payload JSON NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    published_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_events_unpublished ON outbox_events(source, id) WHERE published_at IS NULL;
+
+-- Create processed_events table (events each consuming service has handled, to skip redeliveries)
+CREATE TABLE IF NOT EXISTS processed_events (
+    consumer VARCHAR(50) NOT NULL,
+    event_id UUID NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (consumer, event_id)
+);
+
 -- Insert sample data
-INSERT INTO users (username, email, password_hash) VALUES 
-('demo_user', 'demo@example.com', 'hashed_password');
+INSERT INTO users (username, email, password_hash, email_verified) VALUES 
+('demo_user', 'demo@example.com', 'hashed_password', TRUE);
+
+-- Staff accounts (passwords: admin123 / support123)
+INSERT INTO users (username, email, password_hash, role, email_verified) VALUES 
+('admin', 'admin@example.com', '$2a$10$7jruppigUP9Vtv.YKgkUnuIeiS.j7X7qSK6Ji8MIjlxp5wy0RrLgS', 'admin', TRUE),
+('support', 'support@example.com', '$2a$10$cQN.DPcDrJDj.8jfr8aBkO6.BWpqNVxUtGsmR7e3TxuK5KVcGAT1y', 'support', TRUE);
 
 INSERT INTO products (name, description, price, stock_quantity) VALUES 
 ('Laptop', 'High-performance laptop', 999.99, 10),
@@ -0,0 +1,139 @@
+import axios from 'axios';
+
+const SESSION_KEY = 'ecommerce.session';
+
+export const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY)) || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveSession = (session) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
+
+// Shared client for every call to the api-gateway
+const api = axios.create();
+
+let unauthorizedHandler = null;
+let refreshedHandler = null;
+
+// Registered by AuthProvider so a 401 anywhere ends the session
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// Registered by AuthProvider so a refreshed session, with the user as the
+// server now has it, reaches the UI
+export const onSessionRefreshed = (handler) => {
+  refreshedHandler = handler;
+};
+
+api.interceptors.request.use((config) => {
+  const session = loadSession();
+  if (session?.token) {
+    config.headers.Authorization = `Bearer ${session.token}`;
+  }
+  return config;
+});
+
+// Concurrent 401s share a single refresh call so the rotated refresh token
+// is only spent once. A session ended while the call was in flight stays
+// ended, and the new refresh token is revoked.
+let refreshInFlight = null;
+
+const refreshSession = () => {
+  if (!refreshInFlight) {
+    const session = loadSession();
+    refreshInFlight = axios
+      .post('/api/users/token/refresh', { refreshToken: session?.refreshToken })
+      .then((response) => {
+        const { token, refreshToken, user } = response.data;
+        if (loadSession()?.refreshToken !== session?.refreshToken) {
+          revokeSession({ refreshToken });
+          throw new Error('Session ended during refresh');
+        }
+        const next = { token, refreshToken, user };
+        saveSession(next);
+        if (refreshedHandler) {
+          refreshedHandler(next);
+        }
+        return token;
+      })
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+  return refreshInFlight;
+};
+
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+
+    if (response?.status !== 401) {
+      return Promise.reject(error);
+    }
+
+    if (!config._retried && loadSession()?.refreshToken) {
+      config._retried = true;
+      try {
+        const token = await refreshSession();
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch (refreshError) {
+        // Fall through and end the session
+      }
+    }
+
+    if (unauthorizedHandler) {
+      unauthorizedHandler();
+    }
+    return Promise.reject(error);
+  }
+);
+
+// Revokes the session's refresh token, and its access token while that is
+// still valid. The refresh token is revoked on its own, so this works after
+// the access token expired. Bypasses the interceptors: a 401 here must not
+// start a refresh.
+export const revokeSession = async ({ token, refreshToken }) => {
+  const requests = [];
+  if (refreshToken) {
+    requests.push(axios.post('/api/users/token/revoke', { refreshToken }));
+  }
+  if (token) {
+    requests.push(axios.post('/api/users/logout', {}, { headers: { Authorization: `Bearer ${token}` } }));
+  }
+  const results = await Promise.allSettled(requests);
+  results
+    .filter((result) => result.status === 'rejected' && result.reason.response?.status !== 401)
+    .forEach((result) => console.error('Error revoking session:', result.reason));
+};
+
+// Turns an API error into a message for the user. Validation failures list
+// each rejected field; other errors carry a single message.
+export const getErrorMessage = (err, fallback) => {
+  const data = err.response?.data;
+  if (data?.details?.length) {
+    return data.details.map((detail) => detail.message).join('. ');
+  }
+  return data?.error || data?.message || fallback;
+};
+
+// Key for the Idempotency-Key header. randomUUID is only available on secure
+// origins, so plain-HTTP deployments fall back to a random string.
+export const newIdempotencyKey = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`
+);
+
+export default api;
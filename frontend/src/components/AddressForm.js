@@ -0,0 +1,53 @@
+import React from 'react';
+import { Form, Row, Col } from 'react-bootstrap';
+
+export const EMPTY_ADDRESS = {
+  name: '',
+  street: '',
+  city: '',
+  postal_code: '',
+  country: ''
+};
+
+// Controlled fields for a structured address; onChange receives the whole address
+const AddressForm = ({ address, onChange }) => {
+  const handleChange = (e) => {
+    onChange({ ...address, [e.target.name]: e.target.value });
+  };
+
+  return (
+    <>
+      <Form.Group className="mb-2">
+        <Form.Label>Full name</Form.Label>
+        <Form.Control name="name" value={address.name} onChange={handleChange} required />
+      </Form.Group>
+      <Form.Group className="mb-2">
+        <Form.Label>Street</Form.Label>
+        <Form.Control name="street" value={address.street} onChange={handleChange} required />
+      </Form.Group>
+      <Row>
+        <Col md={4}>
+          <Form.Group className="mb-2">
+            <Form.Label>Postal code</Form.Label>
+            <Form.Control name="postal_code" value={address.postal_code} onChange={handleChange} required />
+          </Form.Group>
+        </Col>
+        <Col md={8}>
+          <Form.Group className="mb-2">
+            <Form.Label>City</Form.Label>
+            <Form.Control name="city" value={address.city} onChange={handleChange} required />
+          </Form.Group>
+        </Col>
+      </Row>
+      <Form.Group className="mb-2">
+        <Form.Label>Country</Form.Label>
+        <Form.Control name="country" value={address.country} onChange={handleChange} required />
+      </Form.Group>
+    </>
+  );
+};
+
+export const formatAddress = (address) =>
+  `${address.name}, ${address.street}, ${address.postal_code} ${address.city}, ${address.country}`;
+
+export default AddressForm;
@@ -1,8 +1,18 @@
 import React from 'react';
 import { Navbar as BSNavbar, Nav, Container } from 'react-bootstrap';
 import { LinkContainer } from 'react-router-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
 
 const Navbar = () => {
+  const { user, isAuthenticated, logout } = useAuth();
+  const navigate = useNavigate();
+
+  const handleLogout = () => {
+    logout();
+    navigate('/login');
+  };
+
   return (
     <BSNavbar bg="primary" variant="dark" expand="lg">
       <Container>
@@ -24,9 +34,18 @@ const Navbar = () => {
             </LinkContainer>
           </Nav>
           <Nav>
-            <LinkContainer to="/login">
-              <Nav.Link>Login</Nav.Link>
-            </LinkContainer>
+            {isAuthenticated ? (
+              <>
+                <LinkContainer to="/profile">
+                  <Nav.Link>Signed in as {user?.username}</Nav.Link>
+                </LinkContainer>
+                <Nav.Link onClick={handleLogout}>Logout</Nav.Link>
+              </>
+            ) : (
+              <LinkContainer to="/login">
+                <Nav.Link>Login</Nav.Link>
+              </LinkContainer>
+            )}
           </Nav>
         </BSNavbar.Collapse>
       </Container>
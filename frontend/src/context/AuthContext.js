@@ -0,0 +1,71 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { loadSession, saveSession, clearSession, onUnauthorized, onSessionRefreshed, revokeSession } from '../api';
+
+const AuthContext = createContext(null);
+
+export const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(loadSession);
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const login = useCallback(({ token, refreshToken, user }) => {
+    const next = { token, refreshToken, user };
+    saveSession(next);
+    setSession(next);
+  }, []);
+
+  const updateUser = useCallback((user) => {
+    const current = loadSession();
+    if (!current) {
+      return;
+    }
+    const next = { ...current, user: { ...current.user, ...user } };
+    saveSession(next);
+    setSession(next);
+  }, []);
+
+  // Drops the local session; used when the server already rejected it
+  const endSession = useCallback(() => {
+    clearSession();
+    setSession(null);
+  }, []);
+
+  const logout = useCallback(async () => {
+    const current = loadSession();
+    endSession();
+
+    if (current) {
+      await revokeSession(current);
+    }
+  }, [endSession]);
+
+  useEffect(() => {
+    onSessionRefreshed(setSession);
+    return () => onSessionRefreshed(null);
+  }, []);
+
+  useEffect(() => {
+    onUnauthorized(() => {
+      endSession();
+      if (location.pathname !== '/login') {
+        navigate('/login', { replace: true, state: { from: location } });
+      }
+    });
+    return () => onUnauthorized(null);
+  }, [endSession, navigate, location]);
+
+  const value = {
+    token: session?.token || null,
+    user: session?.user || null,
+    isAuthenticated: Boolean(session?.token),
+    login,
+    logout,
+    endSession,
+    updateUser
+  };
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export const useAuth = () => useContext(AuthContext);
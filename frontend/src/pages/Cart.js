@@ -1,11 +1,22 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Card, Button, Row, Col, Alert } from 'react-bootstrap';
-import axios from 'axios';
+import { Container, Card, Button, Row, Col, Alert, Form } from 'react-bootstrap';
+import api, { getErrorMessage, newIdempotencyKey } from '../api';
+import AddressForm, { EMPTY_ADDRESS, formatAddress } from '../components/AddressForm';
 
 const Cart = () => {
   const [cartItems, setCartItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [checkingOut, setCheckingOut] = useState(false);
+  const [addresses, setAddresses] = useState([]);
+  const [selectedAddress, setSelectedAddress] = useState('new');
+  const [newAddress, setNewAddress] = useState(EMPTY_ADDRESS);
+  const [saveAddress, setSaveAddress] = useState(true);
+  const [cardNumber, setCardNumber] = useState('4242 4242 4242 4242');
+  // One key per checkout attempt: resubmitting the same order (double click,
+  // retry after a network error) returns the order that was already placed
+  const [checkoutKey, setCheckoutKey] = useState(null);
+  const [placingOrder, setPlacingOrder] = useState(false);
 
   useEffect(() => {
     fetchCartItems();
@@ -13,7 +24,7 @@ const Cart = () => {
 
   const fetchCartItems = async () => {
     try {
-      const response = await axios.get('/api/cart');
+      const response = await api.get('/api/cart');
       setCartItems(response.data);
     } catch (err) {
       setError('Failed to load cart items');
@@ -25,7 +36,7 @@ const Cart = () => {
 
   const removeFromCart = async (productId) => {
     try {
-      await axios.delete(`/api/cart/${productId}`);
+      await api.delete(`/api/cart/${productId}`);
       fetchCartItems(); // Refresh cart
     } catch (err) {
       alert('Failed to remove item from cart');
@@ -33,20 +44,69 @@ const Cart = () => {
     }
   };
 
-  const checkout = async () => {
+  const startCheckout = async () => {
     try {
-      await axios.post('/api/orders', { items: cartItems }
+      const response = await api.get('/api/users/profile/addresses');
+      setAddresses(response.data);
+      const defaultAddress = response.data.find((address) => address.is_default);
+      setSelectedAddress(defaultAddress ? String(defaultAddress.id) : 'new');
+    } catch (err) {
+      console.error('Error fetching addresses:', err);
+      setSelectedAddress('new');
+    }
+    setCheckoutKey(newIdempotencyKey());
+    setCheckingOut(true);
+  };
+
+  const checkout = async (e) => {
+    e.preventDefault();
+    if (placingOrder) {
+      return;
+    }
+    setPlacingOrder(true);
+    try {
+      let addressId = selectedAddress !== 'new' ? Number(selectedAddress) : null;
+
+      if (!addressId && saveAddress) {
+        const saved = await api.post('/api/users/profile/addresses', newAddress);
+        addressId = saved.data.id;
+        // A retry uses the saved address instead of saving it again
+        setAddresses((current) => [...current, saved.data]);
+        setSelectedAddress(String(addressId));
+      }
+
+      const order = addressId
+        ? { items: cartItems, address_id: addressId, card_number: cardNumber }
+        : { items: cartItems, shipping_address: newAddress, card_number: cardNumber };
+
+      const response = await api.post('/api/orders', order
         , {
           headers: {
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            'Idempotency-Key': checkoutKey
           }
         }
       );
-      alert('Order placed successfully!');
+      // 202: placed, but the payment is not confirmed yet
+      if (response.status === 202) {
+        alert('Order received. We will confirm it as soon as the payment goes through.');
+      } else {
+        alert('Order placed successfully!');
+      }
       setCartItems([]);
+      setCheckingOut(false);
+      setNewAddress(EMPTY_ADDRESS);
     } catch (err) {
-      alert('Failed to place order');
+      // The server answered, so the order was not placed; changes to the
+      // form make it a new attempt. Without a response the key is kept so a
+      // retry cannot place the order twice.
+      if (err.response) {
+        setCheckoutKey(newIdempotencyKey());
+      }
+      alert(getErrorMessage(err, 'Failed to place order'));
       console.error('Error placing order:', err);
+    } finally {
+      setPlacingOrder(false);
     }
   };
 
@@ -97,11 +157,80 @@ const Cart = () => {
           <Card className="mt-4">
             <Card.Body>
               <h4>Total: ${totalAmount.toFixed(2)}</h4>
-              <Button variant="success" size="lg" onClick={checkout}>
-                Checkout
-              </Button>
+              {!checkingOut && (
+                <Button variant="success" size="lg" onClick={startCheckout}>
+                  Checkout
+                </Button>
+              )}
             </Card.Body>
           </Card>
+
+          {checkingOut && (
+            <Card className="mt-4 text-start">
+              <Card.Header>Shipping and payment</Card.Header>
+              <Card.Body>
+                <Form onSubmit={checkout}>
+                  {addresses.map((address) => (
+                    <Form.Check
+                      key={address.id}
+                      type="radio"
+                      id={`address-${address.id}`}
+                      name="shippingAddress"
+                      className="mb-2"
+                      label={`${address.label ? address.label + ': ' : ''}${formatAddress(address)}`}
+                      checked={selectedAddress === String(address.id)}
+                      onChange={() => setSelectedAddress(String(address.id))}
+                    />
+                  ))}
+                  <Form.Check
+                    type="radio"
+                    id="address-new"
+                    name="shippingAddress"
+                    className="mb-3"
+                    label="Ship to a new address"
+                    checked={selectedAddress === 'new'}
+                    onChange={() => setSelectedAddress('new')}
+                  />
+
+                  {selectedAddress === 'new' && (
+                    <>
+                      <AddressForm address={newAddress} onChange={setNewAddress} />
+                      <Form.Check
+                        type="checkbox"
+                        id="save-address"
+                        className="mb-3"
+                        label="Save to my address book"
+                        checked={saveAddress}
+                        onChange={(e) => setSaveAddress(e.target.checked)}
+                      />
+                    </>
+                  )}
+
+                  <Form.Group className="mb-3">
+                    <Form.Label>Card number</Form.Label>
+                    <Form.Control
+                      value={cardNumber}
+                      onChange={(e) => setCardNumber(e.target.value)}
+                      inputMode="numeric"
+                      autoComplete="cc-number"
+                      required
+                    />
+                    <Form.Text muted>
+                      Payments are simulated. 4000 0000 0000 0002 is declined,
+                      4000 0000 0000 9995 has insufficient funds.
+                    </Form.Text>
+                  </Form.Group>
+
+                  <Button variant="secondary" className="me-2" onClick={() => setCheckingOut(false)}>
+                    Back
+                  </Button>
+                  <Button variant="success" type="submit" disabled={placingOrder}>
+                    {placingOrder ? 'Placing order...' : 'Place order'}
+                  </Button>
+                </Form>
+              </Card.Body>
+            </Card>
+          )}
         </>
       )}
     </Container>
@@ -1,17 +1,67 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Container, Card, Form, Button, Alert, Row, Col } from 'react-bootstrap';
-import axios from 'axios';
+import { useLocation, useNavigate, useSearchParams } from 'react-router-dom';
+import api, { getErrorMessage } from '../api';
+import { useAuth } from '../context/AuthContext';
+
+const TITLES = {
+  login: 'Login',
+  register: 'Register',
+  forgot: 'Forgot password',
+  reset: 'Choose a new password',
+  verify: 'Verify email'
+};
 
 const Login = () => {
-  const [isLogin, setIsLogin] = useState(true);
+  const { login } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [mode, setMode] = useState(searchParams.get('mode') || 'login');
   const [formData, setFormData] = useState({
     username: '',
     email: '',
-    password: ''
+    password: '',
+    confirmPassword: ''
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [unverified, setUnverified] = useState(false);
+  // Verification tokens are single use; StrictMode runs effects twice
+  const verifiedToken = useRef(null);
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setError(null);
+    setSuccess(null);
+    setUnverified(false);
+    setSearchParams({});
+  };
+
+  // Links from the verification email land here with the token in the URL
+  useEffect(() => {
+    if (mode !== 'verify' || !token || verifiedToken.current === token) {
+      return;
+    }
+    verifiedToken.current = token;
+
+    const verifyEmail = async () => {
+      setLoading(true);
+      try {
+        await api.post('/api/users/verify-email', { token });
+        setSuccess('Your email address is verified. You can now log in.');
+      } catch (err) {
+        setError(getErrorMessage(err, 'Verification failed'));
+        console.error('Email verification error:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    verifyEmail();
+  }, [mode, token]);
 
   const handleChange = (e) => {
     setFormData({
@@ -20,100 +70,183 @@ const Login = () => {
     });
   };
 
+  const resendVerification = async () => {
+    setError(null);
+    try {
+      await api.post('/api/users/verify-email/resend', { email: formData.email });
+      setUnverified(false);
+      setSuccess('A new verification email is on its way.');
+    } catch (err) {
+      setError(getErrorMessage(err, 'Could not resend verification email'));
+      console.error('Resend verification error:', err);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError(null);
     setSuccess(null);
+    setUnverified(false);
 
     try {
-      if (isLogin) {
-        const response = await axios.post('/api/users/login', {
+      if (mode === 'login') {
+        const response = await api.post('/api/users/login', {
           email: formData.email,
           password: formData.password
         });
-        setSuccess('Login successful!');
-        console.log('Login response:', response.data);
-      } else {
-        const response = await axios.post('/api/users/register', formData);
-        setSuccess('Registration successful!');
-        console.log('Registration response:', response.data);
+        login(response.data);
+        navigate(location.state?.from?.pathname || '/products', { replace: true });
+      } else if (mode === 'register') {
+        await api.post('/api/users/register', {
+          username: formData.username,
+          email: formData.email,
+          password: formData.password
+        });
+        setMode('login');
+        setSuccess('Registration successful! Check your inbox to verify your email address.');
+      } else if (mode === 'forgot') {
+        await api.post('/api/users/password-reset/request', { email: formData.email });
+        setSuccess('If an account exists for that address, a reset link has been sent.');
+      } else if (mode === 'reset') {
+        if (formData.password !== formData.confirmPassword) {
+          setError('Passwords do not match');
+          return;
+        }
+        await api.post('/api/users/password-reset/confirm', {
+          token,
+          password: formData.password
+        });
+        switchMode('login');
+        setSuccess('Your password has been reset. You can now log in.');
       }
     } catch (err) {
-      setError(err.response?.data?.error || 'An error occurred');
+      if (mode === 'login' && err.response?.status === 403) {
+        setUnverified(true);
+      }
+      setError(getErrorMessage(err, 'An error occurred'));
       console.error('Auth error:', err);
     } finally {
       setLoading(false);
     }
   };
 
+  const showEmail = mode !== 'reset' && mode !== 'verify';
+  const showPassword = mode === 'login' || mode === 'register' || mode === 'reset';
+
   return (
     <Container>
       <Row className="justify-content-center">
         <Col md={6}>
           <Card>
             <Card.Header>
-              <h3>{isLogin ? 'Login' : 'Register'}</h3>
+              <h3>{TITLES[mode]}</h3>
             </Card.Header>
             <Card.Body>
-              {error && <Alert variant="danger">{error}</Alert>}
+              {error && (
+                <Alert variant="danger">
+                  {error}
+                  {unverified && (
+                    <div>
+                      <Button variant="link" className="p-0" onClick={resendVerification}>
+                        Resend verification email
+                      </Button>
+                    </div>
+                  )}
+                </Alert>
+              )}
               {success && <Alert variant="success">{success}</Alert>}
-              
-              <Form onSubmit={handleSubmit}>
-                {!isLogin && (
-                  <Form.Group className="mb-3">
-                    <Form.Label>Username</Form.Label>
-                    <Form.Control
-                      type="text"
-                      name="username"
-                      value={formData.username}
-                      onChange={handleChange}
-                      required={!isLogin}
-                      placeholder="Enter username"
-                    />
-                  </Form.Group>
-                )}
-                
-                <Form.Group className="mb-3">
-                  <Form.Label>Email</Form.Label>
-                  <Form.Control
-                    type="email"
-                    name="email"
-                    value={formData.email}
-                    onChange={handleChange}
-                    required
-                    placeholder="Enter email"
-                  />
-                </Form.Group>
-                
-                <Form.Group className="mb-3">
-                  <Form.Label>Password</Form.Label>
-                  <Form.Control
-                    type="password"
-                    name="password"
-                    value={formData.password}
-                    onChange={handleChange}
-                    required
-                    placeholder="Enter password"
-                  />
-                </Form.Group>
-                
-                <Button 
-                  variant="primary" 
-                  type="submit" 
-                  className="w-100 mb-3"
-                  disabled={loading}
-                >
-                  {loading ? 'Processing...' : (isLogin ? 'Login' : 'Register')}
-                </Button>
-              </Form>
-              
+
+              {mode === 'verify' ? (
+                <>
+                  {loading && <p>Verifying your email address...</p>}
+                  {!token && <Alert variant="warning">The verification link is missing its token.</Alert>}
+                </>
+              ) : (
+                <Form onSubmit={handleSubmit}>
+                  {mode === 'register' && (
+                    <Form.Group className="mb-3">
+                      <Form.Label>Username</Form.Label>
+                      <Form.Control
+                        type="text"
+                        name="username"
+                        value={formData.username}
+                        onChange={handleChange}
+                        required
+                        placeholder="Enter username"
+                      />
+                    </Form.Group>
+                  )}
+
+                  {showEmail && (
+                    <Form.Group className="mb-3">
+                      <Form.Label>Email</Form.Label>
+                      <Form.Control
+                        type="email"
+                        name="email"
+                        value={formData.email}
+                        onChange={handleChange}
+                        required
+                        placeholder="Enter email"
+                      />
+                    </Form.Group>
+                  )}
+
+                  {showPassword && (
+                    <Form.Group className="mb-3">
+                      <Form.Label>{mode === 'reset' ? 'New password' : 'Password'}</Form.Label>
+                      <Form.Control
+                        type="password"
+                        name="password"
+                        value={formData.password}
+                        onChange={handleChange}
+                        required
+                        placeholder="Enter password"
+                      />
+                    </Form.Group>
+                  )}
+
+                  {mode === 'reset' && (
+                    <Form.Group className="mb-3">
+                      <Form.Label>Confirm new password</Form.Label>
+                      <Form.Control
+                        type="password"
+                        name="confirmPassword"
+                        value={formData.confirmPassword}
+                        onChange={handleChange}
+                        required
+                        placeholder="Repeat password"
+                      />
+                    </Form.Group>
+                  )}
+
+                  <Button
+                    variant="primary"
+                    type="submit"
+                    className="w-100 mb-3"
+                    disabled={loading || (mode === 'reset' && !token)}
+                  >
+                    {loading ? 'Processing...' : {
+                      login: 'Login',
+                      register: 'Register',
+                      forgot: 'Send reset link',
+                      reset: 'Reset password'
+                    }[mode]}
+                  </Button>
+                </Form>
+              )}
+
               <div className="text-center">
-                <Button 
-                  variant="link" 
-                  onClick={() => setIsLogin(!isLogin)}
+                {mode === 'login' && (
+                  <Button variant="link" onClick={() => switchMode('forgot')}>
+                    Forgot password?
+                  </Button>
+                )}
+                <Button
+                  variant="link"
+                  onClick={() => switchMode(mode === 'login' ? 'register' : 'login')}
                 >
-                  {isLogin ? "Don't have an account? Register" : "Already have an account? Login"}
+                  {mode === 'login' ? "Don't have an account? Register" : 'Back to login'}
                 </Button>
               </div>
             </Card.Body>
@@ -1,11 +1,31 @@
-import React, { useState, useEffect } from 'react';
-import { Container, Card, Table, Badge, Alert } from 'react-bootstrap';
-import axios from 'axios';
+import React, { useState, useEffect, Fragment } from 'react';
+import { Container, Card, Table, Badge, Alert, Button, ListGroup, Modal, Form } from 'react-bootstrap';
+import api, { getErrorMessage } from '../api';
+
+const RETURN_REASONS = {
+  damaged: 'Arrived damaged',
+  wrong_item: 'Wrong item',
+  not_as_described: 'Not as described',
+  no_longer_needed: 'No longer needed',
+  other: 'Other'
+};
 
 const Orders = () => {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Refunds, status history and returns per order id, loaded when first shown
+  const [refunds, setRefunds] = useState({});
+  const [history, setHistory] = useState({});
+  const [returns, setReturns] = useState({});
+  // { orderId, section } of the details row that is open, if any
+  const [expanded, setExpanded] = useState(null);
+  // Order the cancel dialog is open for
+  const [cancelling, setCancelling] = useState(null);
+  const [cancelReason, setCancelReason] = useState('');
+  // Return being put together: { order, items, quantities, reason, comment }
+  const [returnForm, setReturnForm] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
 
   useEffect(() => {
     fetchOrders();
@@ -13,7 +33,7 @@ const Orders = () => {
 
   const fetchOrders = async () => {
     try {
-      const response = await axios.get('/api/orders');
+      const response = await api.get('/api/orders');
       setOrders(response.data);
     } catch (err) {
       setError('Failed to load orders');
@@ -29,11 +49,149 @@ const Orders = () => {
       processing: 'info',
       shipped: 'primary',
       delivered: 'success',
-      cancelled: 'danger'
+      cancelled: 'danger',
+      refunded: 'dark'
+    };
+    return <Badge bg={variants[status] || 'secondary'}>{status}</Badge>;
+  };
+
+  // Reasons the system gives for a status change
+  const reasonLabels = {
+    payment_authorized: 'Payment authorized',
+    payment_declined: 'Payment declined',
+    payment_expired: 'Payment authorization expired',
+    full_refund: 'Refunded in full'
+  };
+
+  const describeReason = (reason) => reasonLabels[reason] || reason.replace(/_/g, ' ');
+
+  const isExpanded = (orderId, section) =>
+    expanded && expanded.orderId === orderId && expanded.section === section;
+
+  const toggleHistory = async (orderId) => {
+    if (isExpanded(orderId, 'history')) {
+      setExpanded(null);
+      return;
+    }
+    setExpanded({ orderId, section: 'history' });
+    if (!history[orderId]) {
+      try {
+        const response = await api.get(`/api/orders/${orderId}/history`);
+        setHistory((current) => ({ ...current, [orderId]: response.data }));
+      } catch (err) {
+        console.error('Error fetching order history:', err);
+        setHistory((current) => ({ ...current, [orderId]: [] }));
+      }
+    }
+  };
+
+  const getReturnBadge = (status) => {
+    const variants = {
+      requested: 'warning',
+      approved: 'info',
+      rejected: 'danger',
+      refunded: 'success'
     };
     return <Badge bg={variants[status] || 'secondary'}>{status}</Badge>;
   };
 
+  const loadReturns = async (orderId) => {
+    try {
+      const response = await api.get(`/api/orders/${orderId}/returns`);
+      setReturns((current) => ({ ...current, [orderId]: response.data }));
+    } catch (err) {
+      console.error('Error fetching returns:', err);
+      setReturns((current) => ({ ...current, [orderId]: [] }));
+    }
+  };
+
+  const toggleReturns = async (orderId) => {
+    if (isExpanded(orderId, 'returns')) {
+      setExpanded(null);
+      return;
+    }
+    setExpanded({ orderId, section: 'returns' });
+    if (!returns[orderId]) {
+      await loadReturns(orderId);
+    }
+  };
+
+  const cancelOrder = async () => {
+    setSubmitting(true);
+    try {
+      const response = await api.post(`/api/orders/${cancelling.id}/cancel`, cancelReason.trim() ? { reason: cancelReason.trim() } : {});
+      setOrders((current) => current.map((order) => (order.id === response.data.id ? response.data : order)));
+      // The timeline has a new entry and is loaded again when next shown
+      setHistory((current) => ({ ...current, [cancelling.id]: undefined }));
+      if (isExpanded(cancelling.id, 'history')) {
+        setExpanded(null);
+      }
+      setCancelling(null);
+    } catch (err) {
+      alert(getErrorMessage(err, 'Failed to cancel the order'));
+      console.error('Error cancelling order:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const startReturn = async (order) => {
+    try {
+      const response = await api.get(`/api/orders/${order.id}`);
+      setReturnForm({ order, items: response.data.items, quantities: {}, reason: 'damaged', comment: '' });
+    } catch (err) {
+      alert(getErrorMessage(err, 'Failed to load the order'));
+      console.error('Error fetching order:', err);
+    }
+  };
+
+  const setReturnQuantity = (itemId, quantity) => {
+    setReturnForm((current) => ({ ...current, quantities: { ...current.quantities, [itemId]: quantity } }));
+  };
+
+  const returnItems = returnForm
+    ? returnForm.items
+      .filter((item) => returnForm.quantities[item.id] > 0)
+      .map((item) => ({ order_item_id: item.id, quantity: returnForm.quantities[item.id] }))
+    : [];
+
+  const requestReturn = async () => {
+    const orderId = returnForm.order.id;
+    setSubmitting(true);
+    try {
+      await api.post(`/api/orders/${orderId}/returns`, {
+        items: returnItems,
+        reason: returnForm.reason,
+        comment: returnForm.comment.trim()
+      });
+      setReturnForm(null);
+      await loadReturns(orderId);
+      setExpanded({ orderId, section: 'returns' });
+    } catch (err) {
+      alert(getErrorMessage(err, 'Failed to request the return'));
+      console.error('Error requesting return:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggleRefunds = async (orderId) => {
+    if (isExpanded(orderId, 'refunds')) {
+      setExpanded(null);
+      return;
+    }
+    setExpanded({ orderId, section: 'refunds' });
+    if (!refunds[orderId]) {
+      try {
+        const response = await api.get(`/api/orders/${orderId}`);
+        setRefunds((current) => ({ ...current, [orderId]: response.data.refunds }));
+      } catch (err) {
+        console.error('Error fetching refunds:', err);
+        setRefunds((current) => ({ ...current, [orderId]: [] }));
+      }
+    }
+  };
+
   if (loading) {
     return <Container>Loading orders...</Container>;
   }
@@ -62,22 +220,206 @@ const Orders = () => {
                   <th>Date</th>
                   <th>Total</th>
                   <th>Status</th>
+                  <th>Refunded</th>
+                  <th>History</th>
+                  <th></th>
                 </tr>
               </thead>
               <tbody>
                 {orders.map((order) => (
-                  <tr key={order.id}>
-                    <td>#{order.id}</td>
-                    <td>{new Date(order.created_at).toLocaleDateString()}</td>
-                    <td>${order.total_amount}</td>
-                    <td>{getStatusBadge(order.status)}</td>
-                  </tr>
+                  <Fragment key={order.id}>
+                    <tr>
+                      <td>#{order.id}</td>
+                      <td>{new Date(order.created_at).toLocaleDateString()}</td>
+                      <td>${order.total_amount}</td>
+                      <td>{getStatusBadge(order.status)}</td>
+                      <td>
+                        {Number(order.amount_refunded) > 0 ? (
+                          <Button variant="link" size="sm" className="p-0" onClick={() => toggleRefunds(order.id)}>
+                            ${order.amount_refunded}
+                          </Button>
+                        ) : '-'}
+                      </td>
+                      <td>
+                        <Button variant="link" size="sm" className="p-0" onClick={() => toggleHistory(order.id)}>
+                          Timeline
+                        </Button>
+                      </td>
+                      <td>
+                        {['pending', 'processing'].includes(order.status) && (
+                          <Button variant="outline-danger" size="sm" onClick={() => { setCancelReason(''); setCancelling(order); }}>
+                            Cancel
+                          </Button>
+                        )}
+                        {order.status === 'delivered' && (
+                          <Button variant="outline-secondary" size="sm" className="me-2" onClick={() => startReturn(order)}>
+                            Return items
+                          </Button>
+                        )}
+                        {['delivered', 'refunded'].includes(order.status) && (
+                          <Button variant="link" size="sm" className="p-0" onClick={() => toggleReturns(order.id)}>
+                            Returns
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                    {isExpanded(order.id, 'history') && (
+                      <tr>
+                        <td colSpan={7}>
+                          {!history[order.id] ? 'Loading history...' : (
+                            <ListGroup variant="flush">
+                              {history[order.id].map((entry) => (
+                                <ListGroup.Item key={entry.id}>
+                                  <small className="text-muted me-2">{new Date(entry.created_at).toLocaleString()}</small>
+                                  {entry.from_status ? getStatusBadge(entry.to_status) : 'Order placed'}
+                                  {entry.reason && <span className="ms-2">{describeReason(entry.reason)}</span>}
+                                </ListGroup.Item>
+                              ))}
+                            </ListGroup>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                    {isExpanded(order.id, 'returns') && (
+                      <tr>
+                        <td colSpan={7}>
+                          {!returns[order.id] ? 'Loading returns...' : returns[order.id].length === 0 ? 'No returns requested' : (
+                            <Table size="sm" className="mb-0">
+                              <tbody>
+                                {returns[order.id].map((ret) => (
+                                  <tr key={ret.id}>
+                                    <td>{new Date(ret.created_at).toLocaleDateString()}</td>
+                                    <td>{ret.items.map((item) => `${item.quantity} x ${item.name}`).join(', ')}</td>
+                                    <td>{RETURN_REASONS[ret.reason] || ret.reason}</td>
+                                    <td>{getReturnBadge(ret.status)}</td>
+                                    <td>
+                                      {ret.status === 'refunded' && `$${ret.refund_amount} refunded`}
+                                      {ret.status === 'approved' && 'Send the items back to us'}
+                                      {ret.status === 'rejected' && ret.resolution_note}
+                                    </td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </Table>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                    {isExpanded(order.id, 'refunds') && (
+                      <tr>
+                        <td colSpan={7}>
+                          {!refunds[order.id] ? 'Loading refunds...' : (
+                            <Table size="sm" className="mb-0">
+                              <tbody>
+                                {refunds[order.id].map((refund) => (
+                                  <tr key={refund.id}>
+                                    <td>{new Date(refund.created_at).toLocaleString()}</td>
+                                    <td>${refund.amount}</td>
+                                    <td>{refund.reason || 'No reason given'}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </Table>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
                 ))}
               </tbody>
             </Table>
           </Card.Body>
         </Card>
       )}
+
+      <Modal show={cancelling !== null} onHide={() => setCancelling(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Cancel order #{cancelling?.id}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>Your payment is released and the items go back on sale.</p>
+          <Form.Group>
+            <Form.Label>Reason (optional)</Form.Label>
+            <Form.Control
+              type="text"
+              maxLength={255}
+              value={cancelReason}
+              onChange={(e) => setCancelReason(e.target.value)}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setCancelling(null)}>Keep order</Button>
+          <Button variant="danger" onClick={cancelOrder} disabled={submitting}>
+            Cancel order
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      <Modal show={returnForm !== null} onHide={() => setReturnForm(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Return items from order #{returnForm?.order.id}</Modal.Title>
+        </Modal.Header>
+        {returnForm && (
+          <Modal.Body>
+            <Table size="sm">
+              <thead>
+                <tr>
+                  <th>Item</th>
+                  <th>Ordered</th>
+                  <th>Return</th>
+                </tr>
+              </thead>
+              <tbody>
+                {returnForm.items.map((item) => (
+                  <tr key={item.id}>
+                    <td>{item.name}</td>
+                    <td>{item.quantity}</td>
+                    <td>
+                      <Form.Select
+                        size="sm"
+                        value={returnForm.quantities[item.id] || 0}
+                        onChange={(e) => setReturnQuantity(item.id, Number(e.target.value))}
+                      >
+                        {Array.from({ length: item.quantity + 1 }, (_, quantity) => (
+                          <option key={quantity} value={quantity}>{quantity}</option>
+                        ))}
+                      </Form.Select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+            <Form.Group className="mb-3">
+              <Form.Label>Reason</Form.Label>
+              <Form.Select
+                value={returnForm.reason}
+                onChange={(e) => setReturnForm((current) => ({ ...current, reason: e.target.value }))}
+              >
+                {Object.entries(RETURN_REASONS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+            <Form.Group>
+              <Form.Label>Details (optional)</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={3}
+                maxLength={1000}
+                value={returnForm.comment}
+                onChange={(e) => setReturnForm((current) => ({ ...current, comment: e.target.value }))}
+              />
+            </Form.Group>
+          </Modal.Body>
+        )}
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setReturnForm(null)}>Close</Button>
+          <Button variant="primary" onClick={requestReturn} disabled={submitting || returnItems.length === 0}>
+            Request return
+          </Button>
+        </Modal.Footer>
+      </Modal>
     </Container>
   );
 };
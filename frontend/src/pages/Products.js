@@ -1,8 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { Card, Row, Col, Button, Container, Spinner, Alert } from 'react-bootstrap';
-import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import api from '../api';
+import { useAuth } from '../context/AuthContext';
 
 const Products = () => {
+  const { isAuthenticated } = useAuth();
+  const navigate = useNavigate();
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -10,7 +14,7 @@ const Products = () => {
   useEffect(() => {
     const fetchProducts = async () => {
       try {
-        const response = await axios.get('/api/products');
+        const response = await api.get('/api/products');
         setProducts(response.data);
       } catch (err) {
         setError('Failed to load products');
@@ -24,8 +28,13 @@ const Products = () => {
   }, []);
 
   const addToCart = async (productId) => {
+    if (!isAuthenticated) {
+      navigate('/login', { state: { from: { pathname: '/products' } } });
+      return;
+    }
+
     try {
-      await axios.post('/api/cart/add', { productId, quantity: 1 });
+      await api.post('/api/cart/add', { productId, quantity: 1 });
       alert('Product added to cart!');
     } catch (err) {
       alert('Failed to add product to cart');
@@ -77,8 +86,9 @@ const Products = () => {
                     variant="primary" 
                     onClick={() => addToCart(product.id)}
                     className="w-100"
+                    disabled={product.stock_quantity <= 0}
                   >
-                    Add to Cart
+                    {product.stock_quantity > 0 ? 'Add to Cart' : 'Out of stock'}
                   </Button>
                 </div>
               </Card.Body>
@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Card, Form, Button, Alert, Row, Col, Modal } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import api, { getErrorMessage } from '../api';
+import { useAuth } from '../context/AuthContext';
+
+const Profile = () => {
+  const { login, endSession, updateUser } = useAuth();
+  const navigate = useNavigate();
+  const [profile, setProfile] = useState({ username: '', email: '' });
+  const [emailVerified, setEmailVerified] = useState(true);
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [deletePassword, setDeletePassword] = useState('');
+  const [showDelete, setShowDelete] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const response = await api.get('/api/users/profile');
+        setProfile({ username: response.data.username, email: response.data.email });
+        setEmailVerified(response.data.email_verified);
+      } catch (err) {
+        setError('Failed to load profile');
+        console.error('Error fetching profile:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProfile();
+  }, []);
+
+  const showResult = (message, isError = false) => {
+    setSuccess(isError ? null : message);
+    setError(isError ? message : null);
+  };
+
+  const saveProfile = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await api.put('/api/users/profile', profile);
+      updateUser({ username: response.data.username, email: response.data.email });
+      setEmailVerified(response.data.email_verified);
+      showResult(response.data.email_verified
+        ? 'Profile updated'
+        : 'Profile updated. Check your inbox to verify your new email address.');
+    } catch (err) {
+      showResult(getErrorMessage(err, 'Failed to update profile'), true);
+      console.error('Error updating profile:', err);
+    }
+  };
+
+  const changePassword = async (e) => {
+    e.preventDefault();
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      showResult('New passwords do not match', true);
+      return;
+    }
+
+    try {
+      const response = await api.post('/api/users/profile/password', {
+        currentPassword: passwords.currentPassword,
+        newPassword: passwords.newPassword
+      });
+      login(response.data);
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      showResult('Password changed. Other sessions have been signed out.');
+    } catch (err) {
+      showResult(getErrorMessage(err, 'Failed to change password'), true);
+      console.error('Error changing password:', err);
+    }
+  };
+
+  const deleteAccount = async () => {
+    try {
+      await api.delete('/api/users/profile', { data: { password: deletePassword } });
+      endSession();
+      navigate('/', { replace: true });
+    } catch (err) {
+      setShowDelete(false);
+      showResult(getErrorMessage(err, 'Failed to delete account'), true);
+      console.error('Error deleting account:', err);
+    } finally {
+      setDeletePassword('');
+    }
+  };
+
+  if (loading) {
+    return <Container>Loading profile...</Container>;
+  }
+
+  return (
+    <Container>
+      <h2>My Profile</h2>
+      {error && <Alert variant="danger">{error}</Alert>}
+      {success && <Alert variant="success">{success}</Alert>}
+
+      <Row>
+        <Col md={6} className="mb-4">
+          <Card>
+            <Card.Header>Account details</Card.Header>
+            <Card.Body>
+              <Form onSubmit={saveProfile}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Username</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={profile.username}
+                    onChange={(e) => setProfile({ ...profile, username: e.target.value })}
+                    required
+                  />
+                </Form.Group>
+                <Form.Group className="mb-3">
+                  <Form.Label>Email</Form.Label>
+                  <Form.Control
+                    type="email"
+                    value={profile.email}
+                    onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+                    required
+                  />
+                  {!emailVerified && (
+                    <Form.Text className="text-warning">This address has not been verified yet.</Form.Text>
+                  )}
+                </Form.Group>
+                <Button type="submit" variant="primary">Save</Button>
+              </Form>
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col md={6} className="mb-4">
+          <Card>
+            <Card.Header>Change password</Card.Header>
+            <Card.Body>
+              <Form onSubmit={changePassword}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Current password</Form.Label>
+                  <Form.Control
+                    type="password"
+                    value={passwords.currentPassword}
+                    onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+                    required
+                  />
+                </Form.Group>
+                <Form.Group className="mb-3">
+                  <Form.Label>New password</Form.Label>
+                  <Form.Control
+                    type="password"
+                    value={passwords.newPassword}
+                    onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+                    required
+                  />
+                </Form.Group>
+                <Form.Group className="mb-3">
+                  <Form.Label>Confirm new password</Form.Label>
+                  <Form.Control
+                    type="password"
+                    value={passwords.confirmPassword}
+                    onChange={(e) => setPasswords({ ...passwords, confirmPassword: e.target.value })}
+                    required
+                  />
+                </Form.Group>
+                <Button type="submit" variant="primary">Change password</Button>
+              </Form>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      <Card border="danger">
+        <Card.Body>
+          <Card.Title>Delete account</Card.Title>
+          <Card.Text>
+            Your cart and saved sessions are removed. Past orders are kept without your personal details.
+          </Card.Text>
+          <Button variant="danger" onClick={() => setShowDelete(true)}>Delete my account</Button>
+        </Card.Body>
+      </Card>
+
+      <Modal show={showDelete} onHide={() => setShowDelete(false)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Delete account</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Form.Group>
+            <Form.Label>Enter your password to confirm</Form.Label>
+            <Form.Control
+              type="password"
+              value={deletePassword}
+              onChange={(e) => setDeletePassword(e.target.value)}
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setShowDelete(false)}>Cancel</Button>
+          <Button variant="danger" onClick={deleteAccount} disabled={!deletePassword}>
+            Delete permanently
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Container>
+  );
+};
+
+export default Profile;
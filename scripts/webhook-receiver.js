@@ -0,0 +1,91 @@
+// Local webhook receiver for trying out order-service and payment-service
+// webhooks. Prints every event it receives and checks its signature.
+// No dependencies beyond Node itself.
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js
+//
+// Then subscribe it, e.g. through the api-gateway as an admin:
+//
+//   POST /api/admin/webhooks/payment-service/subscriptions
+//   { "url": "http://localhost:4100/webhooks", "event_types": ["*"] }
+//
+// and restart the receiver with the secret from the response.
+//
+//   PORT            port to listen on (default 4100)
+//   WEBHOOK_SECRET  subscription secret; without it signatures are not checked
+//   FAIL_RATE       share of requests answered with a 500, to watch retries (0-1)
+//   TOLERANCE_SECONDS  maximum age of a signature timestamp (default 300)
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT, 10) || 4100;
+const SECRET = process.env.WEBHOOK_SECRET || null;
+const FAIL_RATE = parseFloat(process.env.FAIL_RATE || '0');
+const TOLERANCE_SECONDS = parseInt(process.env.TOLERANCE_SECONDS, 10) || 300;
+
+// Checks "t=<timestamp>,v1=<hex signature>" against the raw body
+const verifySignature = (header, body) => {
+  const parts = Object.fromEntries((header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) {
+    return 'missing or malformed signature header';
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    return 'timestamp outside the tolerance window';
+  }
+  const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  if (given.length !== expected.length / 2 || !crypto.timingSafeEqual(given, Buffer.from(expected, 'hex'))) {
+    return 'signature mismatch';
+  }
+  return null;
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const eventType = req.headers['x-webhook-event'];
+    const eventId = req.headers['x-webhook-id'];
+
+    if (SECRET) {
+      const problem = verifySignature(req.headers['x-webhook-signature'], body);
+      if (problem) {
+        console.log(`[rejected] ${eventType} ${eventId}: ${problem}`);
+        res.writeHead(401, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: problem }));
+        return;
+      }
+    }
+
+    if (Math.random() < FAIL_RATE) {
+      console.log(`[failing] ${eventType} ${eventId} (FAIL_RATE=${FAIL_RATE})`);
+      res.writeHead(500).end();
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      res.writeHead(400).end();
+      return;
+    }
+
+    console.log(`[${SECRET ? 'verified' : 'unverified'}] ${eventType} ${eventId}`);
+    console.log(JSON.stringify(payload.data, null, 2));
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}`);
+  if (!SECRET) {
+    console.log('WEBHOOK_SECRET is not set, signatures will not be checked');
+  }
+});